@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Command-line lookups, for terminals and cron jobs. Runs the same fan-out as
+ * GET /multas/todas through the lookup engine (lib/multas), without Express.
+ *
+ *   multas AB123CD [OTRO…] [--fuente pba,cordoba] [--archivo patentes.csv]
+ *                  [--json | --csv] [--refresh] [--crudo] [--verbose]
+ *   multas --tipo dni 12345678          by person: --tipo dni or cuit (lib/consulta)
+ *
+ * Output (stdout):
+ *   tabla  (default) per plate: sources with their status, then its infractions
+ *   json   the consolidated document; an array of them when several plates
+ *          were requested or --archivo was used
+ *   csv    one row per infraction across all plates (lib/exportar columns);
+ *          failed sources are listed on stderr
+ *
+ * --archivo takes a plates file: one per line or a CSV with a dominio /
+ * patente column (same rules as POST /lotes); `-` reads it from stdin.
+ * Plates run one after another, each against its sources in parallel.
+ *
+ * Exit codes:
+ *   0  no pending fines, and every source that was queried answered
+ *   1  pending fines found (even if some source failed)
+ *   2  no pending fines found, but some source failed: the answer is incomplete
+ *   3  invalid invocation: unknown option or source, bad plate or document, unreadable file
+ *   4  internal error: bad configuration (captcha provider, history database, …)
+ *      or an unexpected failure; the message goes to stderr
+ *
+ * Fetcher logs are dropped unless --verbose, which sends them to stderr.
+ * Configuration (captcha provider, CACHE_FILE, …) comes from .env like the server.
+ * Lookups are only added to the history when HISTORIAL_FILE is set (to share
+ * the server's, say); there is no default file, so a global install writes
+ * nothing under its own directory.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { adeuda } = require('../lib/estado');
+const { dominiosDeCsv } = require('../lib/lotes');
+const { filasInfracciones, filasFuentes, infraccionesCsv } = require('../lib/exportar');
+const { parseConsulta } = require('../lib/multas');
+const { TIPOS, etiquetaConsulta } = require('../lib/consulta');
+
+const USO = `Uso: multas <dominio…> [opciones]
+       multas --tipo dni|cuit <documento…> [opciones]
+
+Opciones:
+  -t, --tipo <t>           qué se consulta: dominio (por defecto), dni o cuit
+  -f, --fuente <claves>    fuentes separadas por coma (ver GET /fuentes); por defecto, todas
+  -a, --archivo <ruta>     archivo con una patente por línea o CSV con columna dominio; "-" lee stdin
+      --formato <f>        tabla (por defecto), json o csv
+      --json, --csv        atajos de --formato
+      --refresh            ignora la caché
+      --crudo              no unifica las infracciones que informan varios portales
+  -v, --verbose            muestra el progreso de cada portal en stderr
+  -h, --help               muestra esta ayuda
+
+Códigos de salida: 0 sin multas pendientes, 1 con multas pendientes,
+2 alguna fuente falló, 3 invocación inválida, 4 error interno o de configuración.
+`;
+
+const SALIDA = {
+  SIN_MULTAS:        0,
+  CON_MULTAS:        1,
+  FUENTES_CON_ERROR: 2,
+  USO_INVALIDO:      3,
+  ERROR_INTERNO:     4,
+};
+
+const FORMATOS = ['tabla', 'json', 'csv'];
+
+// argv → { opciones } or { error } (message for the user).
+function parseArgumentos(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        tipo:    { type: 'string', short: 't' },
+        fuente:  { type: 'string', short: 'f' },
+        fuentes: { type: 'string' },
+        archivo: { type: 'string', short: 'a' },
+        formato: { type: 'string' },
+        json:    { type: 'boolean' },
+        csv:     { type: 'boolean' },
+        refresh: { type: 'boolean' },
+        crudo:   { type: 'boolean' },
+        verbose: { type: 'boolean', short: 'v' },
+        help:    { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    return { error: err.message };
+  }
+  const { values: v, positionals } = parsed;
+
+  const formatos = [v.formato, v.json && 'json', v.csv && 'csv'].filter(Boolean);
+  if (new Set(formatos).size > 1) return { error: `Formatos incompatibles: ${formatos.join(', ')}.` };
+  const formato = formatos[0] || 'tabla';
+  if (!FORMATOS.includes(formato)) return { error: `Formato desconocido: ${formato}. Usar tabla, json o csv.` };
+  const tipo = (v.tipo || 'dominio').toLowerCase();
+  if (!TIPOS.includes(tipo)) return { error: `Tipo de consulta desconocido: ${v.tipo}. Usar dominio, dni o cuit.` };
+
+  return {
+    opciones: {
+      tipo,
+      dominios: positionals,
+      archivo:  v.archivo || null,
+      fuentes:  [v.fuente, v.fuentes].filter(Boolean).join(',') || null,
+      formato,
+      refresh:  !!v.refresh,
+      crudo:    !!v.crudo,
+      verbose:  !!v.verbose,
+      ayuda:    !!v.help,
+    },
+  };
+}
+
+// Exit code for a run, from its consolidated documents.
+function codigoDeSalida(docs) {
+  if (docs.some(d => d.infracciones.some(i => adeuda(i.estado)))) return SALIDA.CON_MULTAS;
+  if (docs.some(d => d.resumen.errores > 0)) return SALIDA.FUENTES_CON_ERROR;
+  return SALIDA.SIN_MULTAS;
+}
+
+// ─── Table output ─────────────────────────────────────────────────────────────
+const pesos = new Intl.NumberFormat('es-AR', { style: 'currency', currency: 'ARS' });
+
+const recortar = (texto, max) => texto.length > max ? texto.slice(0, max - 1) + '…' : texto;
+
+// Left-aligned columns separated by two spaces; `columnas` is [[clave, titulo]].
+function columnas(filas, cols) {
+  const celdas = [cols.map(([, titulo]) => titulo), ...filas.map(f => cols.map(([clave]) => String(f[clave] ?? '')))];
+  const anchos = cols.map((_, n) => Math.max(...celdas.map(c => c[n].length)));
+  return celdas.map(c => '  ' + c.map((t, n) => t.padEnd(anchos[n])).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+function aTabla(doc) {
+  const { resumen } = doc;
+  let salida = `${doc.dominio || etiquetaConsulta(doc.consulta.valor)} · ${resumen.infracciones} ${resumen.infracciones === 1 ? 'infracción' : 'infracciones'}`
+    + ` · deuda pendiente ${pesos.format(resumen.deudaPendiente)}\n\n`;
+
+  salida += columnas(filasFuentes(doc).map(f => ({ ...f, detalle: recortar(f.detalle, 70) })),
+    [['nombre', 'Portal'], ['consulta', 'Consulta'], ['resultado', 'Resultado'], ['detalle', 'Detalle']]);
+
+  const infracciones = filasInfracciones(doc);
+  if (infracciones.length) {
+    salida += '\n' + columnas(infracciones.map(i => ({
+      ...i,
+      importe:     i.importe === null ? '' : pesos.format(i.importe),
+      descripcion: recortar(i.descripcion || '', 50),
+    })), [['fuente', 'Fuente'], ['acta', 'Acta'], ['fecha', 'Fecha'], ['importe', 'Importe'], ['estado', 'Estado'], ['descripcion', 'Descripción']]);
+  }
+  return salida + '\n';
+}
+
+// ─── Run ──────────────────────────────────────────────────────────────────────
+// The fetchers log progress with console.*; stdout is kept for the results.
+// Returns a function that puts the original console back.
+function redirigirLogs(verbose) {
+  const originales = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  const destino = verbose ? (...args) => originales.error(...args) : () => {};
+  console.log = console.info = console.warn = destino;
+  if (!verbose) console.error = destino;
+  return () => Object.assign(console, originales);
+}
+
+// `multas` is the lookup engine; built from .env unless given (tests).
+async function main(argv = process.argv.slice(2), { multas } = {}) {
+  const { opciones, error } = parseArgumentos(argv);
+  if (error) {
+    process.stderr.write(`${error}\n\n${USO}`);
+    return SALIDA.USO_INVALIDO;
+  }
+  if (opciones.ayuda) {
+    process.stdout.write(USO);
+    return SALIDA.SIN_MULTAS;
+  }
+
+  const errorUso = mensaje => {
+    process.stderr.write(`${mensaje}\n`);
+    return SALIDA.USO_INVALIDO;
+  };
+
+  let entradas = opciones.dominios;
+  if (opciones.archivo) {
+    try {
+      entradas = entradas.concat(dominiosDeCsv(fs.readFileSync(opciones.archivo === '-' ? 0 : opciones.archivo, 'utf8')));
+    } catch (err) {
+      return errorUso(`No se pudo leer ${opciones.archivo}: ${err.message}`);
+    }
+  }
+  if (!entradas.length) {
+    process.stderr.write(USO);
+    return SALIDA.USO_INVALIDO;
+  }
+
+  // Built after the redirect so startup messages (dotenv, captcha provider) follow --verbose too.
+  const restaurarLogs = redirigirLogs(opciones.verbose);
+  try {
+    if (!multas) {
+      require('dotenv').config();
+      multas = require('../lib/multas').crearMultasDesdeEnv(process.env);
+    }
+
+    const parseados = entradas.map(d => ({ entrada: d, ...parseConsulta(opciones.tipo, d) }));
+    const invalidos = parseados.filter(p => p.error);
+    if (invalidos.length) return errorUso(invalidos.map(p => `${p.entrada}: ${p.error.message}`).join('\n'));
+
+    const filtro = multas.parseFuentes(opciones.fuentes);
+    if (filtro.error) return errorUso(filtro.error.message);
+
+    const vistos = new Set();
+    const docs = [];
+    for (const { clean } of parseados) {
+      if (vistos.has(clean)) continue;
+      vistos.add(clean);
+      const doc = await multas.consultar(clean, { tipo: opciones.tipo, fuentes: opciones.fuentes, refresh: opciones.refresh, crudo: opciones.crudo });
+      docs.push(doc);
+      if (opciones.formato === 'tabla') process.stdout.write(aTabla(doc));
+    }
+
+    if (opciones.formato !== 'tabla') {
+      for (const doc of docs) {
+        for (const r of doc.fuentes.filter(r => r.estado === 'error')) process.stderr.write(`${doc.consulta.valor}: ${r.nombre}: ${r.error}\n`);
+      }
+    }
+    if (opciones.formato === 'json') {
+      const varios = entradas.length > 1 || opciones.archivo;
+      process.stdout.write(JSON.stringify(varios ? docs : docs[0], null, 2) + '\n');
+    }
+    if (opciones.formato === 'csv') process.stdout.write(infraccionesCsv(docs));
+
+    return codigoDeSalida(docs);
+  } catch (err) {
+    // Never let a crash exit with 1, which means "pending fines" to scripts.
+    process.stderr.write(`Error: ${err.message}\n`);
+    return SALIDA.ERROR_INTERNO;
+  } finally {
+    restaurarLogs();
+  }
+}
+
+if (require.main === module) {
+  main().then(codigo => { process.exitCode = codigo; });
+}
+
+module.exports = { main, parseArgumentos, codigoDeSalida, SALIDA };
@@ -0,0 +1,36 @@
+/**
+ * Library entry point (package.json `main`): the lookup engine without the
+ * HTTP server.
+ *
+ *   const { consultar, crearSolver } = require('argentina-multas-backend');
+ *   const doc = await consultar('AB123CD', { fuentes: ['cordoba', 'chaco'], captcha: crearSolver(process.env) });
+ *
+ * consultar() resolves to the same consolidated document as GET /multas/todas;
+ * `{ tipo: 'dni' }` or `{ tipo: 'cuit' }` searches by person instead of plate.
+ * For more than a one-off lookup create the engine once with crearMultas()
+ * so the cache and circuit breakers are shared; its config is documented in
+ * lib/multas.js. Errors carry the codes in lib/errores.js (CODIGOS).
+ */
+
+const { crearMultas, crearMultasDesdeEnv, consultar, crearHttp, consolidar, parseConsulta, parseDominio } = require('./lib/multas');
+const { crearSolver } = require('./lib/captcha');
+const { crearCache } = require('./lib/cache');
+const { crearHistorial } = require('./lib/historial');
+const { CODIGOS } = require('./lib/errores');
+const { ESTADOS, adeuda } = require('./lib/estado');
+
+module.exports = {
+  consultar,
+  crearMultas,
+  crearMultasDesdeEnv,
+  crearHttp,
+  crearSolver,
+  crearCache,
+  crearHistorial,
+  consolidar,
+  parseConsulta,
+  parseDominio,
+  CODIGOS,
+  ESTADOS,
+  adeuda,
+};
@@ -0,0 +1,265 @@
+/**
+ * API keys and per-client limits for the backend.
+ *
+ * Keys live in `archivo` (CLAVES_FILE, data/claves.json by default), managed
+ * with scripts/claves.js or by hand:
+ *
+ *   [ { "id": "flota", "nombre": "Flota reparto", "hash": "<sha256 hex of the key>",
+ *       "limites": { "porDia": 2000, "captchaPorDia": 50 }, "revocadaEn": null } ]
+ *
+ * Only the key's SHA-256 is stored; a hand-written entry may carry the key
+ * itself as `clave` instead (rewritten as a hash the next time the store is
+ * saved). The file is re-read whenever it changes, so adding or revoking a key
+ * takes effect without a restart. With no keys at all access stays open
+ * (activo() is false) and the server warns about it on startup.
+ *
+ * A store that exists but can't be read or parsed (or has entries but none
+ * usable) fails closed: the keys read before stay in force, and when there
+ * were none every request is refused with ACCESO_NO_DISPONIBLE until the file
+ * is fixed. crear() and revocar() refuse to overwrite it meanwhile.
+ *
+ * Every key has two budgets, each with a per-minute and a per-day limit:
+ *
+ *   consultas  lookup requests; a lote counts once per minute and once per
+ *              plate against the day
+ *   captcha    live lookups on captcha sources (what spends the solver's
+ *              balance); cached results don't count
+ *
+ * Limits an entry leaves out take LIMITES (from .env); 0 means no limit.
+ * Minutes are fixed windows and days follow Argentina's calendar (UTC-3 all
+ * year). Counters live in memory: a restart resets them.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { errorTipado } = require('./errores');
+
+function limiteEnv(nombre, porDefecto) {
+  return process.env[nombre] !== undefined ? Number(process.env[nombre]) : porDefecto;
+}
+
+const LIMITES = {
+  porMinuto:        limiteEnv('ACCESO_POR_MINUTO', 30),
+  porDia:           limiteEnv('ACCESO_POR_DIA', 1000),
+  captchaPorMinuto: limiteEnv('ACCESO_CAPTCHA_POR_MINUTO', 5),
+  captchaPorDia:    limiteEnv('ACCESO_CAPTCHA_POR_DIA', 100),
+};
+
+// Budget → [per-minute limit, per-day limit] in `limites`.
+const PRESUPUESTOS = {
+  consultas: ['porMinuto', 'porDia'],
+  captcha:   ['captchaPorMinuto', 'captchaPorDia'],
+};
+
+const MINUTO  = 60 * 1000;
+const DIA     = 24 * 60 * MINUTO;
+const HUSO_MS = -3 * 60 * MINUTO;  // Argentina, no DST since 2009
+
+const hashClave  = clave => crypto.createHash('sha256').update(String(clave)).digest('hex');
+const nuevaClave = () => crypto.randomBytes(24).toString('base64url');
+
+function crearAcceso({ archivo, limites: porDefecto = LIMITES, ahora = Date.now } = {}) {
+  let claves = [];
+  let porHash = new Map();
+  let leidoMs = null;             // mtime of the file as last read
+  let ilegible = false;           // the file exists but the last read failed
+  const contadores = new Map();   // id → { minuto, dia } windows
+
+  // Keeps the keys we had and logs once per failure streak.
+  function noLegible(motivo) {
+    if (!ilegible) {
+      console.error(`[acceso] No se pudo leer ${archivo}: ${motivo}. ` +
+        (claves.length ? 'Se mantienen las claves anteriores.' : 'Se rechazan todas las consultas hasta corregirlo.'));
+    }
+    ilegible = true;
+  }
+
+  function cargar() {
+    let mtimeMs = null;
+    try {
+      mtimeMs = fs.statSync(archivo).mtimeMs;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        leidoMs = undefined;  // re-read once it can be stat'ed again
+        return noLegible(err.message);
+      }
+    }
+    if (mtimeMs === leidoMs) return;
+    leidoMs = mtimeMs;
+
+    let leidas = [];
+    if (mtimeMs !== null) {
+      try {
+        leidas = [].concat(JSON.parse(fs.readFileSync(archivo, 'utf8')));
+      } catch (err) {
+        return noLegible(err.message);
+      }
+    }
+    const nuevas = [];
+    const nuevoPorHash = new Map();
+    for (const c of leidas) {
+      const hash = c && (c.hash || (c.clave && hashClave(c.clave)));
+      if (!c || !c.id || !hash || nuevas.some(o => o.id === c.id)) {
+        console.warn(`[acceso] Entrada ignorada en ${archivo}: hace falta un id único y hash (o clave).`);
+        continue;
+      }
+      const entrada = { ...c, hash };
+      nuevas.push(entrada);
+      nuevoPorHash.set(hash, entrada);
+    }
+    if (leidas.length && !nuevas.length) return noLegible('ninguna entrada válida');
+    claves   = nuevas;
+    porHash  = nuevoPorHash;
+    ilegible = false;
+  }
+
+  // Refuses to overwrite a store we couldn't read.
+  function modificable() {
+    recargar();
+    if (ilegible) throw new Error(`No se puede leer ${archivo}; corregirlo antes de modificar las claves.`);
+  }
+
+  function persistir() {
+    if (!archivo) return;
+    fs.mkdirSync(path.dirname(archivo), { recursive: true });
+    const tmp = `${archivo}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(claves.map(({ clave, ...c }) => c), null, 2));
+    fs.renameSync(tmp, archivo);
+    leidoMs = fs.statSync(archivo).mtimeMs;
+  }
+
+  if (archivo) cargar();
+  const recargar = () => { if (archivo) cargar(); };
+
+  const buscar = id => claves.find(c => c.id === id) || null;
+
+  const limitesDe = entrada => ({ ...porDefecto, ...entrada.limites });
+
+  function resumen(entrada) {
+    const { hash, clave, ...datos } = entrada;
+    return { ...datos, limites: limitesDe(entrada) };
+  }
+
+  // The counters of `id` for the windows `t` falls in.
+  function ventanas(id, t) {
+    const minuto = Math.floor(t / MINUTO);
+    const dia    = Math.floor((t + HUSO_MS) / DIA);
+    const c = contadores.get(id) || {};
+    if (!c.minuto || c.minuto.ventana !== minuto) c.minuto = { ventana: minuto, consultas: 0, captcha: 0 };
+    if (!c.dia || c.dia.ventana !== dia)          c.dia    = { ventana: dia, consultas: 0, captcha: 0 };
+    contadores.set(id, c);
+    return c;
+  }
+
+  function invalida(id) {
+    return errorTipado('CLAVE_INVALIDA', `La clave de API ${id} no existe o fue revocada.`);
+  }
+
+  // Charges `n` units of `presupuesto` ('consultas' | 'captcha') to key `id`:
+  // one against the minute, `n` against the day. Returns a typed error when
+  // either limit would be exceeded (nothing is charged then), or null.
+  function consumir(id, presupuesto = 'consultas', n = 1) {
+    recargar();
+    const entrada = buscar(id);
+    if (!entrada || entrada.revocadaEn) return invalida(id);
+
+    const t = ahora();
+    const { minuto, dia } = ventanas(id, t);
+    const limites = limitesDe(entrada);
+    const [porMinuto, porDia] = PRESUPUESTOS[presupuesto].map(k => limites[k]);
+    const unidad = presupuesto === 'captcha' ? 'consultas con captcha' : 'consultas';
+
+    if (porDia && dia[presupuesto] + n > porDia) {
+      return errorTipado('CUOTA_AGOTADA',
+        `Cupo diario de la clave ${id} agotado: quedan ${Math.max(0, porDia - dia[presupuesto])} de ${porDia} ${unidad}; se renueva a medianoche.`,
+        { reintentarEnMs: DIA - (t + HUSO_MS) % DIA });
+    }
+    if (porMinuto && minuto[presupuesto] + 1 > porMinuto) {
+      const reintentarEnMs = MINUTO - t % MINUTO;
+      return errorTipado('LIMITE_EXCEDIDO',
+        `La clave ${id} superó el límite de ${porMinuto} ${unidad} por minuto; reintentar en ${Math.ceil(reintentarEnMs / 1000)} s.`,
+        { reintentarEnMs });
+    }
+    minuto[presupuesto] += 1;
+    dia[presupuesto]    += n;
+    return null;
+  }
+
+  return {
+    // Whether keys are required: true once the store has at least one, or
+    // while it can't be read.
+    activo() {
+      recargar();
+      return claves.length > 0 || ilegible;
+    },
+
+    // Key as sent by the client → { cliente: { id, nombre } } or { error } (typed).
+    autenticar(clave) {
+      recargar();
+      if (ilegible && !claves.length) {
+        return { error: errorTipado('ACCESO_NO_DISPONIBLE', 'El registro de claves de API no se puede leer; el backend no atiende consultas hasta corregirlo.') };
+      }
+      if (!clave) {
+        return { error: errorTipado('CLAVE_REQUERIDA', 'Falta la clave de API: enviarla en el encabezado X-API-Key (o como ?clave= en enlaces y EventSource).') };
+      }
+      const entrada = porHash.get(hashClave(clave));
+      if (!entrada) return { error: errorTipado('CLAVE_INVALIDA', 'Clave de API inválida.') };
+      if (entrada.revocadaEn) return { error: invalida(entrada.id) };
+      return { cliente: { id: entrada.id, nombre: entrada.nombre || entrada.id } };
+    },
+
+    consumir,
+
+    // Engine hook (`cupo` in lib/multas): charges every live lookup on a
+    // captcha source to key `id`.
+    cupoCaptcha(id) {
+      return src => (src.captcha ? consumir(id, 'captcha') : null);
+    },
+
+    // What key `id` has used of its limits in the current windows, or null.
+    uso(id) {
+      recargar();
+      const entrada = buscar(id);
+      if (!entrada) return null;
+      const { minuto, dia } = ventanas(id, ahora());
+      return {
+        ...resumen(entrada),
+        uso: {
+          consultas: { minuto: minuto.consultas, dia: dia.consultas },
+          captcha:   { minuto: minuto.captcha, dia: dia.captcha },
+        },
+      };
+    },
+
+    listar() {
+      recargar();
+      return claves.map(resumen);
+    },
+
+    // New key for `id`. The key itself is returned only here; the store keeps
+    // its hash. Throws if `id` is taken or the store can't be read.
+    crear({ id, nombre = id, limites = {} }) {
+      modificable();
+      if (buscar(id)) throw new Error(`Ya existe una clave con id ${id}.`);
+      const clave = nuevaClave();
+      const entrada = { id, nombre, hash: hashClave(clave), limites, creadaEn: new Date(ahora()).toISOString(), revocadaEn: null };
+      claves.push(entrada);
+      porHash.set(entrada.hash, entrada);
+      persistir();
+      return { clave, ...resumen(entrada) };
+    },
+
+    // Marks `id` as revoked (kept in the file for the record). False if unknown.
+    revocar(id) {
+      modificable();
+      const entrada = buscar(id);
+      if (!entrada) return false;
+      entrada.revocadaEn = entrada.revocadaEn || new Date(ahora()).toISOString();
+      persistir();
+      return true;
+    },
+  };
+}
+
+module.exports = { crearAcceso, hashClave, LIMITES };
@@ -0,0 +1,74 @@
+/**
+ * Lookup result cache keyed by (fuente, dominio).
+ *
+ * Entries live in memory. When `archivo` is given they are also written to that
+ * JSON file and loaded back on startup, so a restart doesn't throw away results
+ * we already paid a captcha solve for.
+ *
+ * Only successful lookups should ever be stored: callers put() after the
+ * fetcher resolved, never on error.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+function crearCache({ archivo } = {}) {
+  const entradas = new Map();
+  const clave = (fuente, dominio) => `${fuente}:${dominio}`;
+
+  if (archivo) {
+    try {
+      const guardadas = JSON.parse(fs.readFileSync(archivo, 'utf8'));
+      const ahora = Date.now();
+      for (const [k, e] of Object.entries(guardadas)) {
+        if (e.expira > ahora) entradas.set(k, e);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[cache] No se pudo leer ${archivo}:`, err.message);
+    }
+  }
+
+  // Write to a temp file and rename so a crash mid-write never leaves a
+  // truncated cache behind.
+  function persistir() {
+    if (!archivo) return;
+    try {
+      fs.mkdirSync(path.dirname(archivo), { recursive: true });
+      const tmp = `${archivo}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(entradas)));
+      fs.renameSync(tmp, archivo);
+    } catch (err) {
+      console.error(`[cache] No se pudo escribir ${archivo}:`, err.message);
+    }
+  }
+
+  return {
+    // Returns the stored result plus `cachedAt`, or null when missing/expired.
+    get(fuente, dominio) {
+      const k = clave(fuente, dominio);
+      const e = entradas.get(k);
+      if (!e) return null;
+      if (e.expira <= Date.now()) {
+        entradas.delete(k);
+        persistir();
+        return null;
+      }
+      const { expira, ...resultado } = e;
+      return resultado;
+    },
+
+    // `resultado` is the lookup result ({ infracciones, … }); returns cachedAt.
+    put(fuente, dominio, resultado, ttl) {
+      const cachedAt = new Date().toISOString();
+      entradas.set(clave(fuente, dominio), { ...resultado, cachedAt, expira: Date.now() + ttl });
+      persistir();
+      return cachedAt;
+    },
+
+    delete(fuente, dominio) {
+      if (entradas.delete(clave(fuente, dominio))) persistir();
+    },
+  };
+}
+
+module.exports = { crearCache };
@@ -0,0 +1,46 @@
+/**
+ * Anti-Captcha provider (api.anti-captcha.com). There is no maintained SDK, so
+ * this talks to the JSON API directly: createTask, then poll getTaskResult.
+ */
+
+const axios = require('axios');
+
+const API = 'https://api.anti-captcha.com';
+const POLL_MS = 5000;
+const MAX_ESPERA_MS = 180000;
+
+const espera = ms => new Promise(r => setTimeout(r, ms));
+
+function crearAntiCaptcha(apiKey) {
+  async function llamar(metodo, body) {
+    const { data } = await axios.post(`${API}/${metodo}`, { clientKey: apiKey, ...body }, { timeout: 15000 });
+    if (data.errorId) throw new Error(`Anti-Captcha ${metodo}: ${data.errorCode || data.errorDescription}`);
+    return data;
+  }
+
+  return {
+    nombre: 'anticaptcha',
+
+    async recaptcha({ siteKey, pageUrl, version = 'v2', action, minScore, invisible }) {
+      const task = version === 'v3'
+        ? { type: 'RecaptchaV3TaskProxyless', websiteURL: pageUrl, websiteKey: siteKey, minScore: Number(minScore) || 0.3, pageAction: action }
+        : { type: 'RecaptchaV2TaskProxyless', websiteURL: pageUrl, websiteKey: siteKey, isInvisible: !!invisible };
+
+      const { taskId } = await llamar('createTask', { task });
+
+      const limite = Date.now() + MAX_ESPERA_MS;
+      while (Date.now() < limite) {
+        await espera(POLL_MS);
+        const r = await llamar('getTaskResult', { taskId });
+        if (r.status === 'ready') return { token: r.solution.gRecaptchaResponse, id: String(taskId) };
+      }
+      throw new Error(`Anti-Captcha: la tarea ${taskId} no se resolvió a tiempo.`);
+    },
+
+    async reportarIncorrecto(id) {
+      await llamar('reportIncorrectRecaptcha', { taskId: Number(id) });
+    },
+  };
+}
+
+module.exports = { crearAntiCaptcha };
@@ -0,0 +1,28 @@
+/**
+ * Deterministic provider for tests: resolves immediately with a token derived
+ * from the challenge and records every call so tests can assert on them.
+ */
+
+function crearFake({ token } = {}) {
+  let n = 0;
+  const solicitados = [];
+  const reportados  = [];
+
+  return {
+    nombre: 'fake',
+    solicitados,
+    reportados,
+
+    async recaptcha(desafio) {
+      solicitados.push(desafio);
+      const id = `fake-${++n}`;
+      return { token: token || `fake-token:${desafio.version || 'v2'}:${desafio.siteKey}`, id };
+    },
+
+    async reportarIncorrecto(id) {
+      reportados.push(id);
+    },
+  };
+}
+
+module.exports = { crearFake };
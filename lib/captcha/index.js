@@ -0,0 +1,45 @@
+/**
+ * Captcha solver providers.
+ *
+ * Every provider exposes the same shape, so fetchers never care which service
+ * is behind it:
+ *   nombre                         provider id, for logs and GET /fuentes
+ *   recaptcha({ siteKey, pageUrl, version = 'v2', action, minScore, invisible })
+ *                                  → Promise<{ token, id }>
+ *   reportarIncorrecto(id)         tells the service a token was rejected by the portal
+ *
+ * crearSolver() picks one from the environment: CAPTCHA_PROVIDER forces a
+ * provider, otherwise the first API key found wins. It returns null when
+ * nothing is configured; captcha sources then report themselves unavailable
+ * instead of taking the whole server down.
+ */
+
+const { crearTwoCaptcha }  = require('./twocaptcha');
+const { crearAntiCaptcha } = require('./anticaptcha');
+const { crearManual }      = require('./manual');
+const { crearFake }        = require('./fake');
+
+function crearSolver(env = process.env) {
+  const provider = (env.CAPTCHA_PROVIDER || '').toLowerCase();
+
+  switch (provider) {
+    case '2captcha':
+      if (!env.TWOCAPTCHA_API_KEY) throw new Error('CAPTCHA_PROVIDER=2captcha requiere TWOCAPTCHA_API_KEY.');
+      return crearTwoCaptcha(env.TWOCAPTCHA_API_KEY);
+    case 'anticaptcha':
+      if (!env.ANTICAPTCHA_API_KEY) throw new Error('CAPTCHA_PROVIDER=anticaptcha requiere ANTICAPTCHA_API_KEY.');
+      return crearAntiCaptcha(env.ANTICAPTCHA_API_KEY);
+    case 'manual':
+      return crearManual({ timeoutMs: Number(env.CAPTCHA_MANUAL_TIMEOUT_MS) || undefined });
+    case 'fake':
+      return crearFake();
+    case '':
+      if (env.TWOCAPTCHA_API_KEY)  return crearTwoCaptcha(env.TWOCAPTCHA_API_KEY);
+      if (env.ANTICAPTCHA_API_KEY) return crearAntiCaptcha(env.ANTICAPTCHA_API_KEY);
+      return null;
+    default:
+      throw new Error(`CAPTCHA_PROVIDER desconocido: ${provider}. Usar 2captcha, anticaptcha, manual o fake.`);
+  }
+}
+
+module.exports = { crearSolver, crearTwoCaptcha, crearAntiCaptcha, crearManual, crearFake };
@@ -0,0 +1,59 @@
+/**
+ * Manual provider: each challenge is queued until a human operator solves it
+ * and posts the token back (see GET /captchas and POST /captchas/:id).
+ * Unsolved challenges expire after `timeoutMs` and the lookup fails.
+ */
+
+const crypto = require('crypto');
+
+function crearManual({ timeoutMs = 5 * 60 * 1000 } = {}) {
+  const pendientes = new Map();
+
+  return {
+    nombre: 'manual',
+
+    recaptcha({ siteKey, pageUrl, version = 'v2', action, minScore, invisible }) {
+      return new Promise((resolve, reject) => {
+        const id = crypto.randomUUID();
+        const timer = setTimeout(() => {
+          pendientes.delete(id);
+          reject(new Error('Nadie resolvió el captcha manual a tiempo.'));
+        }, timeoutMs);
+
+        pendientes.set(id, {
+          desafio: { id, siteKey, pageUrl, version, action, minScore, invisible, creado: new Date().toISOString() },
+          resolve: token => { clearTimeout(timer); resolve({ token, id }); },
+          reject:  err   => { clearTimeout(timer); reject(err); },
+        });
+      });
+    },
+
+    async reportarIncorrecto(id) {
+      console.warn(`[captcha manual] El portal rechazó el token del desafío ${id}.`);
+    },
+
+    // Operator side ──────────────────────────────────────────────────────────
+    pendientes() {
+      return [...pendientes.values()].map(p => p.desafio);
+    },
+
+    // Returns false when the challenge is unknown (already solved or expired).
+    resolver(id, token) {
+      const p = pendientes.get(id);
+      if (!p) return false;
+      pendientes.delete(id);
+      p.resolve(token);
+      return true;
+    },
+
+    descartar(id) {
+      const p = pendientes.get(id);
+      if (!p) return false;
+      pendientes.delete(id);
+      p.reject(new Error('El operador descartó el captcha.'));
+      return true;
+    },
+  };
+}
+
+module.exports = { crearManual };
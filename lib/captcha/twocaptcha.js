@@ -0,0 +1,32 @@
+/**
+ * 2captcha provider, backed by the official `2captcha` SDK.
+ */
+
+const Captcha = require('2captcha');
+
+function crearTwoCaptcha(apiKey) {
+  const sdk = new Captcha.Solver(apiKey);
+
+  return {
+    nombre: '2captcha',
+
+    async recaptcha({ siteKey, pageUrl, version = 'v2', action, minScore, invisible }) {
+      const extra = {};
+      if (version === 'v3') {
+        extra.version = 'v3';
+        if (action)   extra.action    = action;
+        if (minScore) extra.min_score = String(minScore);
+      }
+      if (invisible) extra.invisible = true;
+
+      const res = await sdk.recaptcha(siteKey, pageUrl, extra);
+      return { token: res.data, id: res.id };
+    },
+
+    async reportarIncorrecto(id) {
+      await sdk.report(id);
+    },
+  };
+}
+
+module.exports = { crearTwoCaptcha };
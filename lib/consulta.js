@@ -0,0 +1,94 @@
+/**
+ * What a lookup searches by: a vehicle (dominio) or a person (dni / cuit).
+ * Fines on a driver's licence don't follow the vehicle, and some portals can
+ * search by document; each registry entry lists the types it takes in
+ * `consultas` (lib/fuentes).
+ *
+ *   dominio  a car, motorcycle or pre-1995 provincial plate (lib/patente)
+ *   dni      7 or 8 digits, dots and spaces ignored
+ *   cuit     11 digits, dashes ignored, with a valid check digit
+ *
+ * Normalized values can't be mistaken for one another (a plate always has
+ * letters, a DNI 7–8 digits, a CUIT 11), so past parsing the engine passes the
+ * bare value around (cache keys, fetchers) and tipoDe() tells which it is.
+ */
+
+const { errorTipado } = require('./errores');
+const { limpiarPatente, formatoPatente, describirPatente } = require('./patente');
+
+const TIPOS = ['dominio', 'dni', 'cuit'];
+
+// Format key of a clean plate (lib/patente), null for anything else.
+const formatoDominio = formatoPatente;
+
+// Normalizes a plate. Returns { clean, formato, vehiculo } or { error } (typed).
+function parseDominio(dominio) {
+  if (!dominio) return { error: errorTipado('DOMINIO_INVALIDO', 'Falta el parámetro dominio') };
+  const clean = limpiarPatente(dominio);
+  const patente = describirPatente(clean);
+  if (!patente) {
+    return { error: errorTipado('DOMINIO_INVALIDO', 'Dominio inválido. Usar ABC123 o AB123CD (autos), 123ABC o A123BCD (motos), o una patente provincial anterior a 1995 (B123456)') };
+  }
+  return { clean, formato: patente.formato, vehiculo: patente.vehiculo };
+}
+
+// AFIP's mod-11 check digit. Prefixes: 20/23/24/27 people, 30/33/34 companies.
+const PESOS_CUIT = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+function cuitValido(cuit) {
+  if (!/^(20|23|24|27|30|33|34)\d{9}$/.test(cuit)) return false;
+  const suma = PESOS_CUIT.reduce((s, peso, n) => s + peso * Number(cuit[n]), 0);
+  const verificador = (11 - (suma % 11)) % 11;
+  return verificador !== 10 && verificador === Number(cuit[10]);
+}
+
+// Normalizes what to search for. Returns { tipo, clean, formato } (formato only
+// for plates, null otherwise) or { error } (typed).
+function parseConsulta(tipo = 'dominio', valor) {
+  tipo = String(tipo || 'dominio').toLowerCase();
+  if (!TIPOS.includes(tipo)) {
+    return { error: errorTipado('CONSULTA_INVALIDA', `Tipo de consulta desconocido: ${tipo}. Usar dominio, dni o cuit.`) };
+  }
+  if (tipo === 'dominio') {
+    const { clean, formato, error } = parseDominio(valor);
+    return error ? { error } : { tipo, clean, formato };
+  }
+
+  const etiqueta = tipo.toUpperCase();
+  if (!valor) return { error: errorTipado('DOCUMENTO_INVALIDO', `Falta el ${etiqueta} a consultar`) };
+  const clean = String(valor).replace(/[\s.\-]/g, '');
+  if (tipo === 'dni' && !/^\d{7,8}$/.test(clean)) {
+    return { error: errorTipado('DOCUMENTO_INVALIDO', 'DNI inválido. Usar 7 u 8 dígitos, sin letras') };
+  }
+  if (tipo === 'cuit' && !/^\d{11}$/.test(clean)) {
+    return { error: errorTipado('DOCUMENTO_INVALIDO', 'CUIT inválido. Usar 11 dígitos (ej: 20-12345678-6)') };
+  }
+  if (tipo === 'cuit' && !cuitValido(clean)) {
+    return { error: errorTipado('DOCUMENTO_INVALIDO', 'CUIT inválido: el dígito verificador no coincide') };
+  }
+  return { tipo, clean, formato: null };
+}
+
+// Type of an already normalized value.
+function tipoDe(valor) {
+  if (/^\d{11}$/.test(valor)) return 'cuit';
+  if (/^\d{7,8}$/.test(valor)) return 'dni';
+  return 'dominio';
+}
+
+// `consulta` field of a lookup result: { tipo, valor }, plus what lib/patente
+// tells about a plate ({ formato, vehiculo[, provincia] }).
+function describirConsulta(valor) {
+  const tipo = tipoDe(valor);
+  return tipo === 'dominio' ? { tipo, valor, ...describirPatente(valor) } : { tipo, valor };
+}
+
+// Human label for reports: 'Dominio AB123CD', 'DNI 12.345.678', 'CUIT 20-12345678-6'.
+function etiquetaConsulta(valor) {
+  const tipo = tipoDe(valor);
+  if (tipo === 'dni')  return `DNI ${Number(valor).toLocaleString('es-AR')}`;
+  if (tipo === 'cuit') return `CUIT ${valor.slice(0, 2)}-${valor.slice(2, 10)}-${valor.slice(10)}`;
+  return `Dominio ${valor}`;
+}
+
+module.exports = { TIPOS, parseConsulta, parseDominio, formatoDominio, cuitValido, tipoDe, describirConsulta, etiquetaConsulta };
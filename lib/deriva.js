@@ -0,0 +1,35 @@
+/**
+ * Drift detection: telling "no fines" apart from "the portal changed".
+ *
+ * A scraper whose selectors stopped matching returns an empty list, which the
+ * user would read as "sin multas". Fetchers therefore only report zero
+ * infractions when the portal said so: its "no registra infracciones" message
+ * for HTML pages, a well-formed empty list for JSON APIs. Anything else comes
+ * back as a FORMATO_CAMBIADO error, which lib/salud counts as an anomaly.
+ */
+
+const { errorTipado } = require('./errores');
+
+function errorDeDeriva(nombre, detalle) {
+  return errorTipado('FORMATO_CAMBIADO', `El portal ${nombre} cambió de formato: ${detalle}.`);
+}
+
+// Records with no acta, no date and no amount mean the row selectors still
+// match something but the columns / field names moved.
+const ilegible = i => !i.acta && !i.fecha && i.importeCentavos === null;
+
+// Final check for a parsed listing.
+//   vacio  the portal explicitly said there is nothing to report
+//   tabla  the results container was on the page (tells the two drift cases apart)
+function validarResultado(nombre, infracciones, { vacio = false, tabla = false } = {}) {
+  if (infracciones.length) {
+    if (infracciones.every(ilegible)) throw errorDeDeriva(nombre, `${infracciones.length} filas sin acta, fecha ni importe legibles`);
+    return infracciones;
+  }
+  if (vacio) return infracciones;
+  throw errorDeDeriva(nombre, tabla
+    ? 'se encontró la tabla de resultados pero no se pudo leer ninguna fila'
+    : 'la respuesta no trae resultados ni el aviso de "sin infracciones"');
+}
+
+module.exports = { errorDeDeriva, validarResultado };
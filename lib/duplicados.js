@@ -0,0 +1,134 @@
+/**
+ * Infractions reported by more than one source.
+ *
+ * ANSV/SINAI aggregates 150+ jurisdictions, so the same acta often comes back
+ * from it and from the provincial or municipal portal too. fusionar() groups
+ * the records that describe the same fine and returns one canonical record
+ * per group, so totals count it once.
+ *
+ * Only records from different sources are compared (a portal listing a fine
+ * twice is its own business), on:
+ *   acta          same number once spaces, punctuation and zero padding are dropped
+ *   fecha         same day
+ *   importe       same importeCentavos
+ *   jurisdiccion  same place once accents and words like "Provincia de" are dropped
+ * A matching acta is required. A different fecha, or a jurisdiction that
+ * can't be the same place, rules the match out: short actas repeat across
+ * portals. A different importe doesn't (portals add surcharges at their own
+ * pace). Confidence:
+ *   alta   acta and fecha match, plus importe or jurisdicción
+ *   media  acta matches and nothing contradicts it
+ *
+ * The canonical record is the group's most complete one (ties go to the first
+ * reported) with blanks filled from the others, plus:
+ *   fuentes       every source that reported it, the canonical one first
+ *   coincidencia  { confianza, criterios }, or null when a single source reported it
+ *   reportes      [ { fuente, acta, estado, importeCentavos } ] as each source
+ *                 had it, so a disagreement on estado or importe stays visible
+ */
+
+const sinAcentos = s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Words that change between portals naming the same place.
+const RELLENO = new Set(['provincia', 'prov', 'municipio', 'municipalidad', 'ciudad', 'capital', 'de', 'del', 'la', 'el', 'los']);
+
+const CAMPOS = ['acta', 'fecha', 'fechaOriginal', 'fechaVencimiento', 'descripcion', 'lugar', 'importe', 'importeCentavos', 'estado', 'estadoOriginal', 'jurisdiccion', 'organismo', 'titular'];
+
+const vacio = v => v === null || v === undefined || v === '';
+
+function claveActa(acta) {
+  if (vacio(acta)) return null;
+  const clave = sinAcentos(String(acta)).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/(^|[A-Z])0+(?=\d)/g, '$1');
+  return clave || null;
+}
+
+// Significant words of a jurisdiction; null when it says nothing ('Nacional'
+// is what ANSV reports when the row has no jurisdiction).
+function lugar(jurisdiccion) {
+  if (vacio(jurisdiccion)) return null;
+  const palabras = sinAcentos(String(jurisdiccion)).toLowerCase().split(/[^a-z0-9]+/).filter(p => p && !RELLENO.has(p));
+  if (!palabras.length || (palabras.length === 1 && palabras[0] === 'nacional')) return null;
+  return new Set(palabras);
+}
+
+// 'igual' | 'compatible' (one names a part of the other) | 'distinta' | null (unknown).
+function compararLugar(a, b) {
+  const la = lugar(a);
+  const lb = lugar(b);
+  if (!la || !lb) return null;
+  const contiene = (x, y) => [...y].every(p => x.has(p));
+  if (la.size === lb.size && contiene(la, lb)) return 'igual';
+  return contiene(la, lb) || contiene(lb, la) ? 'compatible' : 'distinta';
+}
+
+// How two records from different sources match: { confianza, criterios } or null.
+function coincidencia(a, b) {
+  const acta = claveActa(a.acta);
+  if (!acta || acta !== claveActa(b.acta)) return null;
+  if (!vacio(a.fecha) && !vacio(b.fecha) && a.fecha !== b.fecha) return null;
+  const jurisdiccion = compararLugar(a.jurisdiccion, b.jurisdiccion);
+  if (jurisdiccion === 'distinta') return null;
+
+  const criterios = ['acta'];
+  if (!vacio(a.fecha) && a.fecha === b.fecha) criterios.push('fecha');
+  if (!vacio(a.importeCentavos) && a.importeCentavos === b.importeCentavos) criterios.push('importe');
+  if (jurisdiccion === 'igual') criterios.push('jurisdiccion');
+
+  const alta = criterios.includes('fecha') && (criterios.includes('importe') || criterios.includes('jurisdiccion'));
+  return { confianza: alta ? 'alta' : 'media', criterios };
+}
+
+const completitud = i => CAMPOS.filter(c => !vacio(i[c])).length;
+
+function canonica(grupo) {
+  const base = grupo.registros.reduce((mejor, i) => completitud(i) > completitud(mejor) ? i : mejor);
+  const resto = grupo.registros.filter(i => i !== base);
+  const registro = { ...base };
+  for (const campo of CAMPOS) {
+    if (!vacio(registro[campo])) continue;
+    const otro = resto.find(i => !vacio(i[campo]));
+    if (otro) registro[campo] = otro[campo];
+  }
+  return {
+    ...registro,
+    fuentes:      [base.fuente, ...resto.map(i => i.fuente)],
+    coincidencia: grupo.coincidencia,
+    reportes:     grupo.registros.map(i => ({ fuente: i.fuente, acta: i.acta, estado: i.estado, importeCentavos: i.importeCentavos })),
+  };
+}
+
+// Records tagged with `fuente`, in report order → canonical records, in the
+// order each group was first reported.
+function fusionar(infracciones) {
+  const grupos = [];
+  const porActa = new Map();  // claveActa → groups with that acta
+
+  for (const i of infracciones) {
+    const clave = claveActa(i.acta);
+    let destino = null;
+    let mejor   = null;
+    for (const grupo of (clave && porActa.get(clave)) || []) {
+      if (grupo.registros.some(r => r.fuente === i.fuente)) continue;
+      const matches = grupo.registros.map(r => coincidencia(r, i));
+      if (matches.some(m => !m)) continue;  // every member must agree
+      const c = matches.find(m => m.confianza === 'media') || matches[0];
+      if (!mejor || (mejor.confianza === 'media' && c.confianza === 'alta')) {
+        destino = grupo;
+        mejor   = c;
+      }
+    }
+
+    if (destino) {
+      destino.registros.push(i);
+      if (!destino.coincidencia || destino.coincidencia.confianza === 'alta') destino.coincidencia = mejor;
+      continue;
+    }
+    const grupo = { registros: [i], coincidencia: null };
+    grupos.push(grupo);
+    if (clave) porActa.set(clave, [...(porActa.get(clave) || []), grupo]);
+  }
+
+  return grupos.map(canonica);
+}
+
+module.exports = { fusionar, coincidencia, claveActa };
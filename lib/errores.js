@@ -0,0 +1,101 @@
+/**
+ * Error taxonomy for lookups.
+ *
+ * Every failure that reaches a client carries a stable `codigo`, the HTTP
+ * status /multas answers with and whether trying again later can help
+ * (`reintentable`). Fetchers raise typed errors for the cases they can tell
+ * apart; tipar() classifies everything else (axios timeouts, network errors,
+ * HTTP errors from the portal) once the error leaves the fetcher (lib/multas).
+ *
+ *   DOMINIO_INVALIDO        the plate isn't a valid plate, or the portal rejected it as such
+ *   DOMINIO_NO_SOPORTADO    valid plate in a format this portal doesn't accept
+ *   DOMINIO_NO_ENCONTRADO   the portal doesn't know the vehicle
+ *   CONSULTA_INVALIDA       unknown query type (lib/consulta: dominio, dni, cuit)
+ *   DOCUMENTO_INVALIDO      the DNI or CUIT isn't valid (CUIT check digit included)
+ *   CONSULTA_NO_SOPORTADA   this portal can't search by that query type
+ *   FUENTE_DESCONOCIDA      no registry entry with that key
+ *   CAPTCHA_NO_CONFIGURADO  captcha portal and no captcha provider
+ *   CAPTCHA_FALLIDO         the provider couldn't solve the challenge
+ *   CAPTCHA_RECHAZADO       the portal refused the solved token
+ *   CAPTCHA_INEXISTENTE     no pending manual challenge with that id, or it expired
+ *   CAPTCHA_SIN_TOKEN       a manual challenge was answered without a token
+ *   PORTAL_MANTENIMIENTO    the portal says it's down for maintenance
+ *   PORTAL_NO_DISPONIBLE    couldn't reach the portal (DNS, refused, reset)
+ *   PORTAL_ERROR            the portal answered with an error
+ *   TIMEOUT                 the portal took too long
+ *   FORMATO_CAMBIADO        the reply no longer matches the parser (lib/deriva)
+ *   CIRCUITO_ABIERTO        skipped by the circuit breaker (lib/salud)
+ *   LOTE_INVALIDO           batch request without plates, or with too many
+ *   LOTE_INEXISTENTE        no batch with that id (lib/lotes)
+ *   LOTE_EN_CURSO           the batch hasn't finished yet
+ *   VIGILANCIA_INVALIDA     bad watchlist settings (interval)
+ *   VIGILANCIA_INEXISTENTE  no watched plate with that id (lib/vigilancia)
+ *   VIGILANCIA_DUPLICADA    the plate is already being watched
+ *   FECHA_INVALIDA          unparseable desde / hasta
+ *   EXPORTACION_INVALIDA    unknown `formato` for an export
+ *   CLAVE_REQUERIDA         the backend requires an API key and none was sent (lib/acceso)
+ *   CLAVE_INVALIDA          unknown or revoked API key
+ *   LIMITE_EXCEDIDO         the key went over its per-minute limit
+ *   CUOTA_AGOTADA           the key used up its daily quota (lookups or captchas)
+ *   ACCESO_NO_DISPONIBLE    the key store can't be read and no keys were loaded before
+ *   ERROR_INTERNO           anything else
+ */
+
+const CODIGOS = {
+  DOMINIO_INVALIDO:       { status: 400, reintentable: false },
+  DOMINIO_NO_SOPORTADO:   { status: 400, reintentable: false },
+  DOMINIO_NO_ENCONTRADO:  { status: 404, reintentable: false },
+  CONSULTA_INVALIDA:      { status: 400, reintentable: false },
+  DOCUMENTO_INVALIDO:     { status: 400, reintentable: false },
+  CONSULTA_NO_SOPORTADA:  { status: 400, reintentable: false },
+  FUENTE_DESCONOCIDA:     { status: 400, reintentable: false },
+  CAPTCHA_NO_CONFIGURADO: { status: 503, reintentable: false },
+  CAPTCHA_FALLIDO:        { status: 502, reintentable: true  },
+  CAPTCHA_RECHAZADO:      { status: 502, reintentable: true  },
+  CAPTCHA_INEXISTENTE:    { status: 404, reintentable: false },
+  CAPTCHA_SIN_TOKEN:      { status: 400, reintentable: false },
+  PORTAL_MANTENIMIENTO:   { status: 503, reintentable: true  },
+  PORTAL_NO_DISPONIBLE:   { status: 502, reintentable: true  },
+  PORTAL_ERROR:           { status: 502, reintentable: true  },
+  TIMEOUT:                { status: 504, reintentable: true  },
+  FORMATO_CAMBIADO:       { status: 502, reintentable: false },
+  CIRCUITO_ABIERTO:       { status: 503, reintentable: true  },
+  LOTE_INVALIDO:          { status: 400, reintentable: false },
+  LOTE_INEXISTENTE:       { status: 404, reintentable: false },
+  LOTE_EN_CURSO:          { status: 409, reintentable: true  },
+  VIGILANCIA_INVALIDA:    { status: 400, reintentable: false },
+  VIGILANCIA_INEXISTENTE: { status: 404, reintentable: false },
+  VIGILANCIA_DUPLICADA:   { status: 409, reintentable: false },
+  FECHA_INVALIDA:         { status: 400, reintentable: false },
+  EXPORTACION_INVALIDA:   { status: 400, reintentable: false },
+  CLAVE_REQUERIDA:        { status: 401, reintentable: false },
+  CLAVE_INVALIDA:         { status: 401, reintentable: false },
+  LIMITE_EXCEDIDO:        { status: 429, reintentable: true  },
+  CUOTA_AGOTADA:          { status: 429, reintentable: true  },
+  ACCESO_NO_DISPONIBLE:   { status: 503, reintentable: false },
+  ERROR_INTERNO:          { status: 500, reintentable: false },
+};
+
+// Tags `err` with a code and its status / reintentable defaults. `extra` adds
+// fields such as reintentarEnMs.
+function conCodigo(err, codigo, extra = {}) {
+  const def = CODIGOS[codigo] || CODIGOS.ERROR_INTERNO;
+  return Object.assign(err, { codigo, status: def.status, reintentable: def.reintentable }, extra);
+}
+
+function errorTipado(codigo, mensaje, extra) {
+  return conCodigo(new Error(mensaje), codigo, extra);
+}
+
+const RED = new Set(['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_TLS_CERT_ALTNAME_INVALID', 'CERT_HAS_EXPIRED']);
+
+// Classifies an untyped error in place and returns it. Typed errors pass through.
+function tipar(err) {
+  if (err.codigo) return err;
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message)) return conCodigo(err, 'TIMEOUT');
+  if (err.response) return conCodigo(err, err.response.status === 503 ? 'PORTAL_MANTENIMIENTO' : 'PORTAL_ERROR');
+  if (RED.has(err.code)) return conCodigo(err, 'PORTAL_NO_DISPONIBLE');
+  return conCodigo(err, 'ERROR_INTERNO');
+}
+
+module.exports = { CODIGOS, errorTipado, tipar };
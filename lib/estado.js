@@ -0,0 +1,62 @@
+/**
+ * Infraction status model.
+ *
+ * Portals expose far more than paid / unpaid: payment plans, tax-collection
+ * lawsuits (apremio), court cases, statute of limitations, voided tickets.
+ * Every fetcher maps its own fields onto ESTADOS and keeps the portal's text
+ * in `estadoOriginal`.
+ */
+
+const ESTADOS = [
+  'pendiente',
+  'pagada',
+  'en_plan_de_pago',
+  'en_apremio',
+  'en_juzgado',
+  'prescripta',
+  'anulada',
+];
+
+// Statuses that still represent money owed.
+const CON_DEUDA = new Set(['pendiente', 'en_plan_de_pago', 'en_apremio', 'en_juzgado']);
+
+const sinAcentos = s => s.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Free-text classifier for portal status strings. Order matters: the specific
+// states go first, and negations ("no pagada", "impaga", "pago voluntario
+// vencido") must be caught before anything that merely contains "pag".
+const REGLAS = [
+  ['anulada',         /\banulad|\bdad[oa] de baja|\bsin efecto|\bdesestimad/],
+  ['prescripta',      /\bprescri/],
+  ['en_apremio',      /\bapremio|\bejecucion fiscal|\bgestion judicial/],
+  ['en_plan_de_pago', /\bplan de pagos?\b|\ben plan\b|\bconvenio|\bmoratoria|\bcuotas?\b/],
+  ['pendiente',       /\bimpag|\bno pagad|\bsin pag|\bpendiente|\bvencid|\badeud/],
+  ['pagada',          /\bpagad|\babonad|\bcancelad|\bpago (registrado|acreditado|confirmado)|^pago$/],
+  ['en_juzgado',      /\bjuzgado|\bjuicio|\bresolucion|\bsentencia|\bfallo\b|\bcausa\b/],
+];
+
+function clasificarEstado(texto, porDefecto = 'pendiente') {
+  if (texto === null || texto === undefined) return porDefecto;
+  const t = sinAcentos(String(texto).toLowerCase()).replace(/\s+/g, ' ').trim();
+  if (!t) return porDefecto;
+  for (const [estado, re] of REGLAS) {
+    if (re.test(t)) return estado;
+  }
+  return porDefecto;
+}
+
+// Status fields for an infraction record. Pass `estado` when the fetcher has
+// already decided from structured fields; otherwise the text is classified.
+function estados(original, estado) {
+  const raw = original === undefined || original === null || String(original).trim() === '' ? null : String(original).trim();
+  return {
+    estado:         estado || clasificarEstado(raw),
+    estadoOriginal: raw,
+  };
+}
+
+function adeuda(estado) {
+  return CON_DEUDA.has(estado);
+}
+
+module.exports = { ESTADOS, clasificarEstado, estados, adeuda };
@@ -0,0 +1,126 @@
+/**
+ * Spreadsheet exports of a lookup (`formato=csv` / `formato=xlsx`).
+ *
+ * Both take the consolidated document of /multas/todas (a single-source
+ * lookup is wrapped into the same shape by the route) and produce:
+ *   Infracciones  one row per infraction
+ *   Fuentes       one row per source with what happened to it, so a portal
+ *                 that failed or was skipped ("no consultado") never reads as
+ *                 "sin multas"
+ * XLSX puts them on two sheets; CSV writes them as two sections separated by
+ * a blank line.
+ *
+ * CSV is meant for Excel with an Argentine locale: `;` separator, decimal
+ * comma in importe and a UTF-8 BOM so accents survive.
+ */
+
+const ExcelJS = require('exceljs');
+
+const COLUMNAS_INFRACCIONES = [
+  { clave: 'dominio',      titulo: 'Dominio',      ancho: 10 },
+  { clave: 'fuente',       titulo: 'Fuente',       ancho: 12 },
+  { clave: 'acta',         titulo: 'Acta',         ancho: 16 },
+  { clave: 'fecha',        titulo: 'Fecha',        ancho: 12 },
+  { clave: 'descripcion',  titulo: 'Descripción',  ancho: 50 },
+  { clave: 'lugar',        titulo: 'Lugar',        ancho: 30 },
+  { clave: 'importe',      titulo: 'Importe',      ancho: 14 },
+  { clave: 'estado',       titulo: 'Estado',       ancho: 16 },
+  { clave: 'jurisdiccion', titulo: 'Jurisdicción', ancho: 24 },
+];
+
+const COLUMNAS_FUENTES = [
+  { clave: 'fuente',    titulo: 'Fuente',    ancho: 12 },
+  { clave: 'nombre',    titulo: 'Portal',    ancho: 28 },
+  { clave: 'consulta',  titulo: 'Consulta',  ancho: 16 },
+  { clave: 'resultado', titulo: 'Resultado', ancho: 20 },
+  { clave: 'detalle',   titulo: 'Detalle',   ancho: 60 },
+  { clave: 'fecha',     titulo: 'Fecha',     ancho: 22 },
+];
+
+const CONSULTA = {
+  ok:      'Consultada',
+  error:   'Error',
+  omitida: 'No consultada',
+};
+
+function filasInfracciones(doc) {
+  return doc.infracciones.map(i => ({
+    dominio:      doc.dominio,
+    fuente:       (i.fuentes || [i.fuente]).join(', '),  // every source that reported a merged acta
+    acta:         i.acta,
+    fecha:        i.fecha || i.fechaOriginal,
+    descripcion:  i.descripcion,
+    lugar:        i.lugar,
+    importe:      i.importeCentavos === null || i.importeCentavos === undefined ? null : i.importeCentavos / 100,
+    estado:       i.estado,
+    jurisdiccion: i.jurisdiccion,
+  }));
+}
+
+function filasFuentes(doc) {
+  return doc.fuentes.map(r => ({
+    fuente:    r.fuente,
+    nombre:    r.nombre,
+    consulta:  CONSULTA[r.estado] || r.estado,
+    resultado: r.estado !== 'ok' ? 'Sin datos'
+      : r.cantidad ? `${r.cantidad} ${r.cantidad > 1 ? 'infracciones' : 'infracción'}` : 'Sin multas',
+    detalle:   r.estado === 'ok' ? (r.truncated ? 'Listado incompleto: el portal tenía más páginas.' : '') : (r.error || r.motivo || ''),
+    fecha:     r.cachedAt || doc.consultadoEn,
+  }));
+}
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+// Text comes from third-party portals: a cell starting with = + - @ (or a tab /
+// CR) would run as a formula in Excel or LibreOffice, so it gets a leading '.
+const FORMULA = /^[=+\-@\t\r]/;
+
+function celdaCsv(valor) {
+  if (valor === null || valor === undefined) return '';
+  let texto = typeof valor === 'number' ? String(valor).replace('.', ',') : String(valor);
+  if (typeof valor !== 'number' && FORMULA.test(texto)) texto = `'${texto}`;
+  return /[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function tablaCsv(columnas, filas) {
+  return [
+    columnas.map(c => c.titulo).join(';'),
+    ...filas.map(f => columnas.map(c => celdaCsv(f[c.clave])).join(';')),
+  ].join('\r\n');
+}
+
+// Infraction rows of several lookups as a single table, without BOM (bin/multas.js --csv).
+function infraccionesCsv(docs) {
+  return tablaCsv(COLUMNAS_INFRACCIONES, docs.flatMap(filasInfracciones)) + '\r\n';
+}
+
+function aCsv(doc) {
+  return '\uFEFF'
+    + tablaCsv(COLUMNAS_INFRACCIONES, filasInfracciones(doc))
+    + '\r\n\r\n'
+    + tablaCsv(COLUMNAS_FUENTES, filasFuentes(doc))
+    + '\r\n';
+}
+
+// ─── XLSX ─────────────────────────────────────────────────────────────────────
+function hoja(libro, nombre, columnas, filas) {
+  const h = libro.addWorksheet(nombre, { views: [{ state: 'frozen', ySplit: 1 }] });
+  h.columns = columnas.map(c => ({ header: c.titulo, key: c.clave, width: c.ancho }));
+  h.getRow(1).font = { bold: true };
+  h.addRows(filas);
+  h.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columnas.length } };
+  return h;
+}
+
+// Resolves to a Buffer.
+async function aXlsx(doc) {
+  const libro = new ExcelJS.Workbook();
+  libro.created = new Date(doc.consultadoEn || Date.now());
+
+  const infracciones = hoja(libro, 'Infracciones', COLUMNAS_INFRACCIONES, filasInfracciones(doc));
+  infracciones.getColumn('importe').numFmt = '#,##0.00';
+  hoja(libro, 'Fuentes', COLUMNAS_FUENTES, filasFuentes(doc));
+
+  return Buffer.from(await libro.xlsx.writeBuffer());
+}
+
+module.exports = { aCsv, aXlsx, infraccionesCsv, filasInfracciones, filasFuentes };
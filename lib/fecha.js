@@ -0,0 +1,106 @@
+/**
+ * Date normalization for portal data.
+ *
+ * Every portal formats dates its own way: dd/mm/yyyy table text, dd-mm-yy,
+ * ISO timestamps, epoch numbers, "12 de marzo de 2024"… parseFecha() turns all
+ * of them into an ISO calendar date (YYYY-MM-DD) in Argentine time, or null
+ * when the value can't be read.
+ */
+
+// Argentina has no DST; UTC-3 all year.
+const OFFSET_AR_MS = -3 * 60 * 60 * 1000;
+
+const MESES = {
+  ene: 1, enero: 1,
+  feb: 2, febrero: 2,
+  mar: 3, marzo: 3,
+  abr: 4, abril: 4,
+  may: 5, mayo: 5,
+  jun: 6, junio: 6,
+  jul: 7, julio: 7,
+  ago: 8, agosto: 8,
+  sep: 9, sept: 9, set: 9, septiembre: 9, setiembre: 9,
+  oct: 10, octubre: 10,
+  nov: 11, noviembre: 11,
+  dic: 12, diciembre: 12,
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+// Two-digit years: 00–69 → 2000s, 70–99 → 1900s.
+function anio(y) {
+  const n = Number(y);
+  if (y.length > 2) return n;
+  return n < 70 ? 2000 + n : 1900 + n;
+}
+
+// Builds YYYY-MM-DD, rejecting impossible dates like 31/02.
+function iso(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+// Instant → calendar date as seen in Argentina.
+function desdeInstante(ms) {
+  if (!Number.isFinite(ms)) return null;
+  const dt = new Date(ms + OFFSET_AR_MS);
+  return iso(dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate());
+}
+
+function parseFecha(valor) {
+  if (valor === null || valor === undefined || valor === '') return null;
+  if (valor instanceof Date) return desdeInstante(valor.getTime());
+
+  // Epoch timestamps: seconds or milliseconds.
+  if (typeof valor === 'number' || /^\d{10}(\d{3})?$/.test(String(valor).trim())) {
+    const n = Number(valor);
+    return desdeInstante(n < 1e11 ? n * 1000 : n);
+  }
+
+  const s = String(valor).trim().toLowerCase();
+  let m;
+
+  // ISO with a time and zone (2024-03-12T03:00:00Z) is an instant, not a date.
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}.*(z|[+-]\d{2}:?\d{2})$/.test(s)) {
+    return desdeInstante(Date.parse(s.toUpperCase()));
+  }
+
+  // yyyy-mm-dd / yyyy/mm/dd, optionally followed by a local time.
+  if ((m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:\b|t)/))) {
+    return iso(Number(m[1]), Number(m[2]), Number(m[3]));
+  }
+
+  // dd/mm/yyyy, dd-mm-yy, dd.mm.yyyy, optionally followed by a time.
+  if ((m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/))) {
+    return iso(anio(m[3]), Number(m[2]), Number(m[1]));
+  }
+
+  // "12 de marzo de 2024", "12 marzo 2024", "12-mar-2024", "12/sept/24"
+  if ((m = s.match(/^(\d{1,2})(?:\s+de\s+|[\s/.-]+)([a-záéíóú]+)\.?(?:\s+de\s+|[\s/.-]+)(\d{2}|\d{4})\b/))) {
+    const mes = MESES[m[2]];
+    return mes ? iso(anio(m[3]), mes, Number(m[1])) : null;
+  }
+
+  // "marzo 12, 2024", "mar 12 2024"
+  if ((m = s.match(/^([a-záéíóú]+)\.?\s+(\d{1,2}),?\s+(\d{4})\b/))) {
+    const mes = MESES[m[1]];
+    return mes ? iso(Number(m[3]), mes, Number(m[2])) : null;
+  }
+
+  return null;
+}
+
+// Date fields for an infraction record: `fecha` is when the infraction
+// happened, `fechaVencimiento` when payment is due. Both ISO; the portal's raw
+// infraction date stays in `fechaOriginal`.
+function fechas(original, vencimiento) {
+  const raw = original === undefined || original === null || original === '' ? null : String(original);
+  return {
+    fecha:            parseFecha(original),
+    fechaOriginal:    raw,
+    fechaVencimiento: parseFecha(vencimiento),
+  };
+}
+
+module.exports = { parseFecha, fechas };
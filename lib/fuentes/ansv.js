@@ -0,0 +1,124 @@
+/**
+ * ANSV / SINAI (National).
+ *
+ * The SINAI portal is ASP.NET WebForms with reCAPTCHA. We solve it via the captcha provider,
+ * then POST the WebForms payload with the captcha token.
+ */
+
+const cheerio = require('cheerio');
+const { CookieJar } = require('tough-cookie');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion, texto } = require('../infraccion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+
+// Pre-Mercosur plates only (ABC123, 123ABC): the registry keeps the others away.
+async function fetchANSV({ http, resolverCaptcha }, dominio, fase) {
+  const BASE = 'https://consultainfracciones.seguridadvial.gob.ar';
+  const PAGE_URL = `${BASE}/`;
+
+  fase('sesion');
+  const jar = new CookieJar();
+  const home = await http.get(PAGE_URL, { jar, withCredentials: true });
+  const html = String(home.data);
+  const $    = cheerio.load(html);
+
+  // Extract ASP.NET WebForms hidden fields
+  const viewState          = $('input[name="__VIEWSTATE"]').val()          || '';
+  const viewStateGenerator = $('input[name="__VIEWSTATEGENERATOR"]').val() || '';
+  const eventValidation    = $('input[name="__EVENTVALIDATION"]').val()    || '';
+
+  // Extract reCAPTCHA site key
+  const siteKeyMatch = html.match(/data-sitekey="([^"]+)"/);
+  if (!siteKeyMatch) {
+    if (/mantenimiento/i.test($('body').text())) throw errorTipado('PORTAL_MANTENIMIENTO', 'El portal ANSV/SINAI está en mantenimiento. Intente más tarde.');
+    throw errorDeDeriva('ANSV', 'no se encontró el site key de reCAPTCHA');
+  }
+  const siteKey = siteKeyMatch[1];
+
+  // Solve reCAPTCHA via the configured provider
+  fase('captcha');
+  console.log(`[ANSV] Resolviendo reCAPTCHA (sitekey: ${siteKey})…`);
+  const { token: captchaToken } = await resolverCaptcha({ siteKey, pageUrl: PAGE_URL });
+  console.log(`[ANSV] reCAPTCHA resuelto.`);
+
+  // POST via ASP.NET UpdatePanel async postback (btnBuscar is an async trigger)
+  const formData = new URLSearchParams({
+    'ctl00$ScriptManager':                        'ctl00$ContentPlaceHolder1$updtFormulario|ctl00$ContentPlaceHolder1$btnBuscar',
+    __EVENTTARGET:                                '',
+    __EVENTARGUMENT:                              '',
+    __ASYNCPOST:                                  'true',
+    __VIEWSTATE:                                  viewState,
+    __VIEWSTATEGENERATOR:                         viewStateGenerator,
+    __EVENTVALIDATION:                            eventValidation,
+    'ctl00$ContentPlaceHolder1$hiddenSeleccion':  'dominio',
+    'ctl00$ContentPlaceHolder1$hiddenBusqueda':   'dominio',
+    'ctl00$ContentPlaceHolder1$hiddenFirstLoad':  'false',
+    'ctl00$ContentPlaceHolder1$version':          '2.3',
+    'ctl00$ContentPlaceHolder1$txDominio':        dominio,
+    'ctl00$ContentPlaceHolder1$btnBuscar':        'Consultar infracciones',
+    'g-recaptcha-response':                       captchaToken,
+  });
+
+  fase('consulta');
+  const cookies = jar.getCookiesSync(BASE).map(c => `${c.key}=${c.value}`).join('; ');
+  const res = await http.post(PAGE_URL, formData.toString(), {
+    jar,
+    withCredentials: true,
+    headers: {
+      'Content-Type':     'application/x-www-form-urlencoded',
+      'Referer':          PAGE_URL,
+      'Cookie':           cookies,
+      'X-MicrosoftAjax':  'Delta=true',
+      'X-Requested-With': 'XMLHttpRequest',
+    },
+  });
+
+  fase('parseo');
+  const $r = cheerio.load(String(res.data));
+  const infracciones = [];
+
+  $r('table.table-infracciones tbody tr, table tbody tr').each((_, row) => {
+    const cols = $r(row).find('td').map((_, td) => $r(td).text().trim()).get();
+    if (cols.length < 3) return;
+    infracciones.push(crearInfraccion('ansv', {
+      acta:         cols[0] || null,
+      ...fechas(cols[1]),
+      descripcion:  cols[2] || null,
+      lugar:        cols[3] || null,
+      ...importes(cols[4]),
+      ...estados(cols[5]),
+      jurisdiccion: cols[6] || 'Nacional',
+    }));
+  });
+
+  // JSON fallback
+  const resText = String(res.data);
+  let listaJson = false;
+  if (infracciones.length === 0 && resText.includes('{')) {
+    try {
+      const json = JSON.parse(resText);
+      const list = json.infracciones || json.data || json.items;
+      listaJson = Array.isArray(list);
+      (listaJson ? list : []).forEach(i => infracciones.push(crearInfraccion('ansv', {
+        acta:         i.nroActa || i.acta || null,
+        ...fechas(i.fecha),
+        descripcion:  i.descripcion || i.motivo || null,
+        lugar:        i.lugar   || i.direccion || null,
+        ...importes(i.importe || i.monto),
+        ...estados(i.estado),
+        jurisdiccion: i.jurisdiccion || 'Nacional',
+        organismo:    texto(i.organismo || i.juzgado),
+      })));
+    } catch(_) {}
+  }
+
+  return validarResultado('ANSV', infracciones, {
+    vacio: listaJson || /no registra|sin infracciones|no (posee|se encontraron|existen) infracciones/i.test($r.root().text()),
+    tabla: $r('table').length > 0,
+  });
+}
+
+module.exports = { fetchANSV };
@@ -0,0 +1,82 @@
+/**
+ * CABA.
+ *
+ * tribunet.buenosaires.gob.ar is gone (NXDOMAIN as of 2026).
+ * The new endpoint is a PHP form at buenosaires.gob.ar (also requires reCAPTCHA).
+ * `tipo_consulta` picks the search: 'Dominio' (field `dominio`) or 'DNI' (field `dni`).
+ */
+
+const cheerio = require('cheerio');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion } = require('../infraccion');
+const { validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+const { tipoDe } = require('../consulta');
+
+async function fetchCABA({ http, resolverCaptcha }, dominio, fase) {
+  const PAGE_URL = 'https://buenosaires.gob.ar/licenciasdeconducir/consulta-de-infracciones/?actas=transito';
+  const ENDPOINT = 'https://buenosaires.gob.ar/licenciasdeconducir/consulta-de-infracciones/index.php';
+  const SITE_KEY = '6LfcRGAlAAAAAJI0S2ABpxX_Wj56oioSE6y393OG';
+
+  // Step 1: get session cookie from the home page
+  fase('sesion');
+  const home    = await http.get(PAGE_URL);
+  const cookies = (home.headers['set-cookie']||[]).map(c=>c.split(';')[0]).join('; ');
+
+  // Step 2: solve reCAPTCHA
+  fase('captcha');
+  console.log(`[CABA] Resolviendo reCAPTCHA (sitekey: ${SITE_KEY})…`);
+  const { token: captchaToken, id: captchaId } = await resolverCaptcha({ siteKey: SITE_KEY, pageUrl: PAGE_URL });
+  console.log(`[CABA] reCAPTCHA resuelto.`);
+
+  const porDni = tipoDe(dominio) === 'dni';
+  const formData = new URLSearchParams({
+    tipo_consulta:          porDni ? 'DNI' : 'Dominio',
+    filtro_acta:            'transito',
+    ...(porDni ? { dni: dominio } : { dominio }),
+    'g-recaptcha-response': captchaToken,
+  });
+
+  fase('consulta');
+  const res = await http.post(ENDPOINT, formData.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Referer':      PAGE_URL,
+      'Cookie':       cookies,
+    },
+  });
+
+  if (!res.data || String(res.data).trim() === '') {
+    throw errorTipado('CAPTCHA_RECHAZADO', 'CABA devolvió una respuesta vacía (captcha inválido).', { captchaId });
+  }
+
+  fase('parseo');
+  const $ = cheerio.load(res.data);
+
+  // "No registrás infracciones en este momento." → return empty
+  if ($('h6').text().includes('No registrás infracciones')) return [];
+
+  const infracciones = [];
+
+  // Results are rendered as .card-access cards inside .list-group
+  $('.card-access').each((_, card) => {
+    const $card = $(card);
+    const getText = sel => $card.find(sel).first().text().trim() || null;
+
+    infracciones.push(crearInfraccion('caba', {
+      acta:        getText('.acta-number, [data-acta], h6.mb-1') || getText('h6'),
+      ...fechas(getText('.fecha, [data-fecha], small')),
+      descripcion: getText('.descripcion, p.card-text, .infraccion-desc'),
+      lugar:       getText('.lugar, .address'),
+      ...importes(getText('.importe, .monto, .total')),
+      ...estados(getText('.estado, .badge')),
+      jurisdiccion: 'CABA',
+    }));
+  });
+
+  return validarResultado('CABA', infracciones, { tabla: $('.list-group').length > 0 });
+}
+
+module.exports = { fetchCABA };
@@ -0,0 +1,57 @@
+/**
+ * Chaco (Policía Caminera).
+ *
+ * Open REST JSON API, no captcha, no auth.
+ * Returns { fotomultas: [...], caminera: [...] }
+ */
+
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion, vencimientos, texto } = require('../infraccion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+
+async function fetchChaco({ http }, dominio, fase) {
+  fase('consulta');
+  const res = await http.get('https://policiacaminera.chaco.gov.ar/api/v1/traffic_fines/', {
+    params: { dominio },
+    headers: { Accept: 'application/json' },
+  });
+
+  fase('parseo');
+  const data = res.data || {};
+  if (!Array.isArray(data.fotomultas) && !Array.isArray(data.caminera)) {
+    throw errorDeDeriva('Chaco', 'la respuesta no trae fotomultas ni actas de caminera');
+  }
+  const fotomultas = data.fotomultas || [];
+  const caminera   = data.caminera   || [];
+  const infracciones = [];
+
+  fotomultas.forEach(i => infracciones.push(crearInfraccion('chaco', {
+    acta:        i.nroActa || i.id || null,
+    ...fechas(i.fechaInfraccion || i.fechaGeneracion),
+    descripcion: i.descripcionLey || i.articulo || i.tipo || null,
+    lugar:       i.lugar || null,
+    ...importes(i.importe || i.importe_1vto),
+    ...estados(i.estado),
+    jurisdiccion: 'Chaco',
+    organismo:   texto(i.juzgado) || 'Policía Caminera del Chaco (Fotomultas)',
+    vencimientos: vencimientos([i.fecha_1vto, i.importe_1vto], [i.fecha_2vto, i.importe_2vto]),
+  })));
+
+  caminera.forEach(i => infracciones.push(crearInfraccion('chaco', {
+    acta:        i.nroActa || null,
+    ...fechas(null),
+    descripcion: i.tipo || null,
+    lugar:       null,
+    ...importes(i.importe_1vto),
+    ...estados(i.estado),
+    jurisdiccion: 'Chaco',
+    organismo:   'Policía Caminera del Chaco',
+    vencimientos: vencimientos([i.fecha_1vto, i.importe_1vto], [i.fecha_2vto, i.importe_2vto]),
+  })));
+
+  return validarResultado('Chaco', infracciones, { vacio: true });
+}
+
+module.exports = { fetchChaco };
@@ -0,0 +1,51 @@
+/**
+ * Córdoba Provincia (Policía Caminera via Rentas Córdoba).
+ *
+ * Public REST API, no captcha, no auth. CORS restricted to rentascordoba.gob.ar
+ * but irrelevant for server-side calls.
+ */
+
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion, texto } = require('../infraccion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+
+async function fetchCordoba({ http }, dominio, fase) {
+  const url = `https://app.rentascordoba.gob.ar/WSRestDeudaAnt/public/all/caminera/dominio/${dominio}`;
+  fase('consulta');
+  const res = await http.get(url, { headers: { Accept: 'application/json' } });
+
+  fase('parseo');
+  const body = res.data;
+  if (!body || body.status?.success !== 'TRUE') {
+    throw errorTipado('PORTAL_ERROR', 'El portal de Córdoba devolvió un error inesperado.');
+  }
+  if (!body.data) return []; // "No se encontró información de deuda"
+  if (!Array.isArray(body.data.contribuyentes)) throw errorDeDeriva('Córdoba', 'la respuesta no trae contribuyentes');
+
+  const infracciones = [];
+  for (const contribuyente of body.data.contribuyentes) {
+    const titular = texto(`${contribuyente.nombre || ''} ${contribuyente.apellido || ''}`);
+    for (const objeto of contribuyente.objetos || []) {
+      for (const ob of objeto.obligaciones || []) {
+        infracciones.push(crearInfraccion('cordoba', {
+          acta:        objeto.referencia1 || null,
+          ...fechas(ob.fechaLabrado),
+          descripcion: ob.descripcion    || null,
+          lugar:       null,
+          ...importes(ob.saldoTotal),
+          ...estados(ob.estado),
+          jurisdiccion: 'Córdoba',
+          organismo:   'Policía Caminera de Córdoba',
+          titular,
+        }));
+      }
+    }
+  }
+
+  return validarResultado('Córdoba', infracciones, { vacio: true });
+}
+
+module.exports = { fetchCordoba };
@@ -0,0 +1,75 @@
+/**
+ * Corrientes (SIGEIN).
+ *
+ * ASP.NET WebForms portal, no captcha. Fetch page first to get hidden fields.
+ */
+
+const cheerio = require('cheerio');
+const { CookieJar } = require('tough-cookie');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion } = require('../infraccion');
+const { validarResultado } = require('../deriva');
+
+async function fetchCorrientes({ http }, dominio, fase) {
+  const PAGE_URL = 'https://corrientes.sigein.net/';
+
+  fase('sesion');
+  const jar  = new CookieJar();
+  const home = await http.get(PAGE_URL, { jar, withCredentials: true });
+  const html = String(home.data);
+  const $h   = cheerio.load(html);
+
+  const viewState          = $h('input[name="__VIEWSTATE"]').val()          || '';
+  const viewStateGenerator = $h('input[name="__VIEWSTATEGENERATOR"]').val() || '';
+  const eventValidation    = $h('input[name="__EVENTVALIDATION"]').val()    || '';
+
+  const formData = new URLSearchParams({
+    __EVENTTARGET:        '',
+    __EVENTARGUMENT:      '',
+    __VIEWSTATE:          viewState,
+    __VIEWSTATEGENERATOR: viewStateGenerator,
+    __EVENTVALIDATION:    eventValidation,
+    tbPatente:            dominio,
+    btnConsultaDominio:   'REALIZAR CONSULTA',
+  });
+
+  fase('consulta');
+  const cookies = jar.getCookiesSync(PAGE_URL).map(c => `${c.key}=${c.value}`).join('; ');
+  const res = await http.post(PAGE_URL, formData.toString(), {
+    jar,
+    withCredentials: true,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Referer':      PAGE_URL,
+      'Cookie':       cookies,
+    },
+  });
+
+  fase('parseo');
+  const $ = cheerio.load(String(res.data));
+  const infracciones = [];
+
+  const bodyText = $('body').text();
+  if (/no posee infracciones|sin infracciones|no registra/i.test(bodyText)) return [];
+
+  $('table tbody tr, table tr').each((i, row) => {
+    if (i === 0) return;
+    const cols = $(row).find('td').map((_, td) => $(td).text().trim()).get();
+    if (cols.length < 2) return;
+    infracciones.push(crearInfraccion('corrientes', {
+      acta:        cols[0] || null,
+      ...fechas(cols[1]),
+      descripcion: cols[2] || null,
+      lugar:       cols[3] || null,
+      ...importes(cols[4]),
+      ...estados(cols[5]),
+      jurisdiccion: 'Corrientes',
+    }));
+  });
+
+  return validarResultado('Corrientes', infracciones, { tabla: $('table').length > 0 });
+}
+
+module.exports = { fetchCorrientes };
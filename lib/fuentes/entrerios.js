@@ -0,0 +1,72 @@
+/**
+ * Entre Ríos (Monitoreo Vial).
+ *
+ * Angular SPA backed by a REST API with a static hardcoded Bearer token.
+ * Flow: POST /api/v1/dominio (validate) → POST /api/entre_rios/infracciones_v1 (fetch list).
+ * The list also searches by person: `consulta` is 'dominio', 'dni' or 'cuit'
+ * and `id` the value; only plates go through the validation step.
+ */
+
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion, texto } = require('../infraccion');
+const { paginar } = require('../paginacion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+const { tipoDe } = require('../consulta');
+
+async function fetchEntreRios({ http }, dominio, fase, meta) {
+  const BASE   = 'https://api.monitoreovialentrerios.ar';
+  const BEARER = '3cWREV3JLU3E3ZEpwMlE9PSIsInZhbHVlIjoiS2';
+  const authHeaders = { Authorization: BEARER, Accept: 'application/json' };
+
+  // Step 1: validate domain (returns vehicle info or error)
+  const tipo = tipoDe(dominio);
+  if (tipo === 'dominio') {
+    fase('sesion');
+    const valid = await http.post(`${BASE}/api/v1/dominio`, { dominio }, { headers: authHeaders });
+    if (valid.data && valid.data.error) {
+      throw errorTipado('DOMINIO_NO_ENCONTRADO', 'Entre Ríos: dominio no encontrado.');
+    }
+  }
+
+  // Step 2: fetch infractions list, one page at a time
+  fase('consulta');
+  const { items: list, truncated } = await paginar(async pagina => {
+    const params = new URLSearchParams({
+      consulta: tipo,
+      id:       dominio,
+      pagina:   String(pagina),
+      page:     String(pagina),
+    });
+    const res = await http.post(`${BASE}/api/entre_rios/infracciones_v1`, params.toString(), {
+      headers: {
+        ...authHeaders,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+    const data = res.data;
+    const items = data.infracciones || data.data || data.items || data;
+    if (!Array.isArray(items)) throw errorDeDeriva('Entre Ríos', 'la respuesta no trae la lista de infracciones');
+    return { items, body: data };
+  }, { etiqueta: 'Entre Ríos' });
+  meta.truncated = truncated;
+
+  fase('parseo');
+
+  const infracciones = list.map(i => crearInfraccion('entrerios', {
+    acta:        i.nroActa || i.acta || i.numero || null,
+    ...fechas(i.fecha || i.fechaInfraccion),
+    descripcion: i.descripcion || i.motivo || i.articulo || null,
+    lugar:       i.lugar || i.direccion || null,
+    ...importes(i.importe || i.monto || i.deuda),
+    ...estados(i.estado),
+    jurisdiccion: i.jurisdiccion || 'Entre Ríos',
+    organismo:   texto(i.juzgado || i.organismo),
+    titular:     texto(i.titular),
+  }));
+  return validarResultado('Entre Ríos', infracciones, { vacio: true });
+}
+
+module.exports = { fetchEntreRios };
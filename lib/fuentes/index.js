@@ -0,0 +1,102 @@
+/**
+ * Portal registry: one entry per supported portal, with its fetcher in
+ * lib/fuentes/<key>.js.
+ *
+ * Fetchers are plain functions of (ctx, dominio, fase, meta). `ctx` carries
+ * what they share with the rest of the lookup engine (lib/multas):
+ *   http             axios client with cookie-jar support; lib/grabacion swaps
+ *                    its adapter to record or replay portal exchanges
+ *   resolverCaptcha  (desafio) → { token, id }, failures already typed as CAPTCHA_FALLIDO
+ *   reportarCaptcha  (id) → tells the provider a token was refused; best effort
+ * crearFuentes(ctx) binds them and returns the registry with
+ * `fetch(dominio, fase, meta)`.
+ *
+ * Fetchers take a `fase` callback and call it as they move through their
+ * steps, so GET /multas/stream can relay live progress:
+ *   'sesion' (cookies / hidden fields) → 'captcha' → 'consulta' → 'parseo'
+ * Not every portal goes through every phase. buscar() reports 'reintento'
+ * before a retried attempt starts over.
+ *
+ * Fetchers resolve to the infraction list. Those that can tell more about the
+ * lookup also write into the `meta` object (e.g. `truncated` when a paginated
+ * listing hit the page cap); buscar() returns it with the result.
+ *
+ * Registry fields:
+ *   formatos:  plate formats the portal accepts (lib/patente). Portals with a single
+ *              free-text plate field take cars and motorcycles, and some municipal
+ *              ones also the pre-1995 provincial plates they still have on file;
+ *              Mendoza's form has car-shaped fields and SINAI predates Mercosur
+ *   consultas: what it can search by (lib/consulta): 'dominio', and 'dni' / 'cuit' for
+ *              portals that also search by person. Fetchers get the normalized value
+ *              as `dominio` and tell a document apart with tipoDe()
+ *   latencia:  typical response time in ms (captcha portals include the captcha solve)
+ *   ttl:       how long a successful result stays cached (captcha portals longer, they cost money)
+ */
+
+const { errorTipado } = require('../errores');
+const { tipoDe } = require('../consulta');
+const { formatoPatente, describirFormato } = require('../patente');
+const { fetchANSV }            = require('./ansv');
+const { fetchPBA }             = require('./pba');
+const { fetchCABA }            = require('./caba');
+const { fetchSantaFe }         = require('./santafe');
+const { fetchCorrientes }      = require('./corrientes');
+const { fetchEntreRios }       = require('./entrerios');
+const { fetchMisiones }        = require('./misiones');
+const { fetchPosadas }         = require('./posadas');
+const { fetchChaco }           = require('./chaco');
+const { fetchRosario }         = require('./rosario');
+const { fetchNeuquen }         = require('./neuquen');
+const { fetchSantaRosa }       = require('./santarosa');
+const { fetchMendoza }         = require('./mendoza');
+const { fetchCordoba }         = require('./cordoba');
+const { fetchMendozaCaminera } = require('./mendozacaminera');
+const { fetchSalta }           = require('./salta');
+
+const HORA = 60 * 60 * 1000;
+
+const AUTOS       = ['viejo', 'mercosur'];
+const AUTOS_MOTOS = [...AUTOS, 'moto_viejo', 'moto_mercosur'];
+const MUNICIPAL   = [...AUTOS_MOTOS, 'provincial'];
+
+const REGISTRO = [
+  { key: 'ansv',            nombre: 'ANSV / SINAI',       cobertura: 'Nacional · 150+ jurisdicciones', sitio: 'consultainfracciones.seguridadvial.gob.ar', icono: '🏛️', formatos: ['viejo', 'moto_viejo'],  consultas: ['dominio'],                captcha: true,  latencia: 30000, ttl: 6 * HORA, fetch: fetchANSV },
+  { key: 'pba',             nombre: 'Prov. Buenos Aires', cobertura: 'Provincia',                      sitio: 'infraccionesba.gba.gob.ar',                 icono: '🌾', formatos: AUTOS_MOTOS,              consultas: ['dominio'],                captcha: true,  latencia: 30000, ttl: 6 * HORA, fetch: fetchPBA },
+  { key: 'caba',            nombre: 'CABA',               cobertura: 'Ciudad Autónoma',                sitio: 'buenosaires.gob.ar',                        icono: '🌆', formatos: AUTOS_MOTOS,              consultas: ['dominio', 'dni'],         captcha: true,  latencia: 30000, ttl: 6 * HORA, fetch: fetchCABA },
+  { key: 'santafe',         nombre: 'Santa Fe',           cobertura: 'Provincia',                      sitio: 'santafe.gov.ar',                            icono: '🌊', formatos: AUTOS_MOTOS,              consultas: ['dominio'],                captcha: false, latencia: 3000,  ttl: 1 * HORA, fetch: fetchSantaFe },
+  { key: 'corrientes',      nombre: 'Corrientes',         cobertura: 'Provincia',                      sitio: 'corrientes.sigein.net',                     icono: '🦜', formatos: AUTOS_MOTOS,              consultas: ['dominio'],                captcha: false, latencia: 4000,  ttl: 1 * HORA, fetch: fetchCorrientes },
+  { key: 'entrerios',       nombre: 'Entre Ríos',         cobertura: 'Provincia',                      sitio: 'monitoreovialentrerios.ar',                 icono: '🌿', formatos: AUTOS_MOTOS,              consultas: ['dominio', 'dni', 'cuit'], captcha: false, latencia: 3000,  ttl: 1 * HORA, fetch: fetchEntreRios },
+  { key: 'misiones',        nombre: 'Misiones',           cobertura: 'Provincia',                      sitio: 'monitoreovialmisiones.info',                icono: '🌴', formatos: AUTOS_MOTOS,              consultas: ['dominio', 'dni', 'cuit'], captcha: false, latencia: 3000,  ttl: 1 * HORA, fetch: fetchMisiones },
+  { key: 'posadas',         nombre: 'Posadas',            cobertura: 'Municipio',                      sitio: 'sistema.posadas.gov.ar',                    icono: '🏙️', formatos: MUNICIPAL,                consultas: ['dominio'],                captcha: false, latencia: 2000,  ttl: 1 * HORA, fetch: fetchPosadas },
+  { key: 'chaco',           nombre: 'Chaco',              cobertura: 'Provincia',                      sitio: 'policiacaminera.chaco.gov.ar',              icono: '🌵', formatos: AUTOS_MOTOS,              consultas: ['dominio'],                captcha: false, latencia: 2000,  ttl: 1 * HORA, fetch: fetchChaco },
+  { key: 'rosario',         nombre: 'Rosario',            cobertura: 'Municipio',                      sitio: 'rosario.gob.ar',                            icono: '🏛️', formatos: MUNICIPAL,                consultas: ['dominio'],                captcha: true,  latencia: 35000, ttl: 6 * HORA, fetch: fetchRosario },
+  { key: 'neuquen',         nombre: 'Neuquén Capital',    cobertura: 'Municipio',                      sitio: 'muninqn.gov.ar',                            icono: '🏔️', formatos: AUTOS_MOTOS,              consultas: ['dominio', 'dni'],         captcha: false, latencia: 2000,  ttl: 1 * HORA, fetch: fetchNeuquen },
+  { key: 'santarosa',       nombre: 'Santa Rosa',         cobertura: 'Municipio',                      sitio: 'fotomultas.santarosa.gob.ar',               icono: '🌾', formatos: MUNICIPAL,                consultas: ['dominio'],                captcha: false, latencia: 3000,  ttl: 1 * HORA, fetch: fetchSantaRosa },
+  { key: 'mendoza',         nombre: 'Ciudad de Mendoza',  cobertura: 'Municipio',                      sitio: 'apex.ciudaddemendoza.gov.ar',               icono: '🍇', formatos: AUTOS,                    consultas: ['dominio', 'dni', 'cuit'], captcha: false, latencia: 6000,  ttl: 1 * HORA, fetch: fetchMendoza },
+  { key: 'cordoba',         nombre: 'Córdoba',            cobertura: 'Provincia',                      sitio: 'app.rentascordoba.gob.ar',                  icono: '🌄', formatos: AUTOS_MOTOS,              consultas: ['dominio'],                captcha: false, latencia: 2000,  ttl: 1 * HORA, fetch: fetchCordoba },
+  { key: 'mendozacaminera', nombre: 'Mendoza Caminera',   cobertura: 'Provincia',                      sitio: 'sistemas.seguridad.mendoza.gov.ar',         icono: '🍇', formatos: AUTOS_MOTOS,              consultas: ['dominio'],                captcha: false, latencia: 5000,  ttl: 1 * HORA, fetch: fetchMendozaCaminera },
+  { key: 'salta',           nombre: 'Salta Capital',      cobertura: 'Municipio',                      sitio: 'rentas.dgrmsalta.gov.ar',                   icono: '🌵', formatos: MUNICIPAL,                consultas: ['dominio'],                captcha: false, latencia: 2000,  ttl: 1 * HORA, fetch: fetchSalta },
+];
+
+function sinProgreso() {}
+
+// DOMINIO_NO_SOPORTADO when `src` doesn't take plates in `formato`, else null.
+function formatoNoSoportado(src, formato) {
+  if (src.formatos.includes(formato)) return null;
+  return errorTipado('DOMINIO_NO_SOPORTADO', `El portal ${src.nombre} no admite patentes de ${describirFormato(formato)}.`);
+}
+
+// Registry entries bound to `ctx`, with fetch(dominio, fase, meta). A plate in
+// a format the portal doesn't take never reaches its fetcher.
+function crearFuentes(ctx) {
+  return REGISTRO.map(({ fetch, ...src }) => ({
+    ...src,
+    fetch: async (dominio, fase = sinProgreso, meta = {}) => {
+      const impedimento = tipoDe(dominio) === 'dominio' && formatoNoSoportado(src, formatoPatente(dominio));
+      if (impedimento) throw impedimento;
+      return fetch(ctx, dominio, fase, meta);
+    },
+  }));
+}
+
+module.exports = { crearFuentes, sinProgreso, formatoNoSoportado };
@@ -0,0 +1,142 @@
+/**
+ * Ciudad de Mendoza (Oracle APEX — Juzgados de Tránsito).
+ *
+ * APEX 18.2 portal. Plate items have Session State Protection so they can't be
+ * set via form POST directly. Workaround: set them via APEX URL item-passing
+ * (f?p=APP:PAGE:SESSION:::RP:ITEMS:VALUES) which writes them into session state,
+ * then GET the page again for fresh submission tokens and POST.
+ * No captcha. Accepts both old (ABC123) and Mercosur (AB123CD) formats, and
+ * searches by the offender's document too (P4000_MZA_DOC_TIPO / P4000_MZA_DOC).
+ */
+
+const cheerio = require('cheerio');
+const { CookieJar } = require('tough-cookie');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados, clasificarEstado } = require('../estado');
+const { crearInfraccion } = require('../infraccion');
+const { validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+const { tipoDe } = require('../consulta');
+
+async function fetchMendoza({ http }, dominio, fase) {
+  const BASE = 'https://apex.ciudaddemendoza.gov.ar/apex/produccion/';
+  const jar  = new CookieJar();
+
+  // Step 1: GET page to establish APEX session
+  fase('sesion');
+  const home = await http.get(`${BASE}f?p=204:4000`, { jar, withCredentials: true });
+  const $h   = cheerio.load(home.data);
+  const session = $h('[name="p_instance"]').val();
+  if (!session) throw errorTipado('PORTAL_ERROR', 'No se pudo iniciar sesión en el portal de Mendoza.');
+
+  // Build APEX URL item names/values based on what we search by
+  const tipo   = tipoDe(dominio);
+  const isMerc = /^[A-Z]{2}\d{3}[A-Z]{2}$/.test(dominio);
+  let itemNames, itemValues;
+  if (tipo !== 'dominio') {
+    itemNames  = 'P4000_MZA_DOC_TIPO,P4000_MZA_DOC';
+    itemValues = `${tipo.toUpperCase()},${dominio}`;
+  } else if (isMerc) {
+    itemNames  = 'P4000_MZA_PRIMER_LETRA,P4000_MZA_NUM_INTER,P4000_MZA_ULT_LETRA';
+    itemValues = `${dominio.slice(0,2)},${dominio.slice(2,5)},${dominio.slice(5,7)}`;
+  } else {
+    // Old format ABC123
+    itemNames  = 'P4000_MZA_LETRAS,P4000_MZA_NUMEROS';
+    itemValues = `${dominio.slice(0,3)},${dominio.slice(3,6)}`;
+  }
+
+  // Step 2: GET with RP + item names/values to write them into APEX session state
+  const setUrl = `${BASE}f?p=204:4000:${session}:::RP:${itemNames}:${encodeURIComponent(itemValues)}`;
+  const setResp = await http.get(setUrl, { jar, withCredentials: true });
+  const $s = cheerio.load(setResp.data);
+
+  // Extract fresh submission tokens from this response
+  const getVal = n => $s(`[name="${n}"],[id="${n}"]`).first().val() || '';
+  const cookieStr = jar.getCookiesSync('https://apex.ciudaddemendoza.gov.ar').map(c => `${c.key}=${c.value}`).join('; ');
+
+  // Build form based on plate format; a document search leaves the plate blank
+  const plateFields = tipo !== 'dominio'
+    ? { P4000_MZA_LETRAS: '', P4000_MZA_NUMEROS: '', P4000_MZA_PRIMER_LETRA: '', P4000_MZA_NUM_INTER: '', P4000_MZA_ULT_LETRA: '' }
+    : isMerc
+      ? { P4000_MZA_LETRAS: '', P4000_MZA_NUMEROS: '', P4000_MZA_PRIMER_LETRA: dominio.slice(0,2), P4000_MZA_NUM_INTER: dominio.slice(2,5), P4000_MZA_ULT_LETRA: dominio.slice(5,7) }
+      : { P4000_MZA_LETRAS: dominio.slice(0,3), P4000_MZA_NUMEROS: dominio.slice(3,6), P4000_MZA_PRIMER_LETRA: '', P4000_MZA_NUM_INTER: '', P4000_MZA_ULT_LETRA: '' };
+
+  const form = new URLSearchParams({
+    p_flow_id:            '204',
+    p_flow_step_id:       '4000',
+    p_instance:           getVal('p_instance'),
+    p_page_submission_id: getVal('p_page_submission_id'),
+    p_request:            'SUBMIT_MZA',
+    p_reload_on_submit:   'A',
+    pSalt:                getVal('pSalt'),
+    pPageItemsProtected:  getVal('pPageItemsProtected'),
+    pPageItemsRowVersion: '',
+    P4000_GO_TO:          '',
+    P4000_GO_BACK:        '',
+    P4000_MZA_DOC_TIPO:   tipo === 'dominio' ? 'DNI' : tipo.toUpperCase(),
+    P4000_MZA_DOC:        tipo === 'dominio' ? '' : dominio,
+    ...plateFields,
+  });
+
+  // Step 3: POST the form
+  fase('consulta');
+  const res = await http.post(`${BASE}wwv_flow.accept`, form.toString(), {
+    jar, withCredentials: true,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Referer':      `${BASE}f?p=204:4000`,
+      'Cookie':       cookieStr,
+    },
+  });
+
+  fase('parseo');
+  const $ = cheerio.load(String(res.data));
+
+  // "No se encontraron datos." = no infractions
+  if ($('span.nodatafound').length || $('body').text().includes('No se encontraron datos')) return [];
+
+  // Error redirect back to 4000 with success_msg
+  const finalUrl = res.request?.res?.responseUrl || '';
+  if (finalUrl.includes('success_msg')) {
+    const m = finalUrl.match(/success_msg=([^&~]+)/);
+    let msg = 'Error en el portal de Mendoza.';
+    if (m) { try { msg = Buffer.from(m[1].replace(/-/g,'+').replace(/_/g,'/'), 'base64').toString('latin1').replace(/[^\x20-\x7E\xA0-\xFF]/g,''); } catch(_) {} }
+    throw errorTipado('PORTAL_ERROR', msg);
+  }
+
+  const infracciones = [];
+  // Table columns: [0]Sel [1]Fecha [2]Año [3]Número [4]Tipo [5]Doc [6]Cat
+  //                [7]ImporteActa [8]APagar [9]Expediente [10]Vehículo
+  //                [11]Infracciones [12]Resolución [13]Apremio [14]Estado
+  $('#report_3278544220698293_catch table tbody tr, .t-Report-report tbody tr').each((_, row) => {
+    const cols = $(row).find('td').map((_, td) => $(td).text().trim()).get();
+    if (cols.length < 10 || !cols[1]) return; // skip empty/header rows
+    infracciones.push(crearInfraccion('mendoza', {
+      acta:        cols[9] || cols[3] || null,           // Expediente or Número
+      ...fechas(cols[1]),                                // Fecha
+      descripcion: cols[11] || null,                     // Infracciones
+      lugar:       null,
+      ...importes(cols[8] || cols[7]),                   // A Pagar
+      ...estados(cols[14], estadoMendoza(cols)),
+      jurisdiccion: 'Ciudad de Mendoza',
+      organismo:   'Juzgados de Tránsito de la Ciudad de Mendoza',
+    }));
+  });
+
+  return validarResultado('Ciudad de Mendoza', infracciones, { tabla: $('.t-Report-report').length > 0 });
+}
+
+// The Estado column only says whether the fine was paid; the Apremio and
+// Resolución columns tell whether it moved on to tax collection or was ruled on.
+function estadoMendoza(cols) {
+  const estado  = clasificarEstado(cols[14]);
+  if (estado === 'pagada' || estado === 'anulada' || estado === 'prescripta') return estado;
+  const apremio = (cols[13] || '').trim();
+  if (apremio && !/^(no|-|0)$/i.test(apremio)) return 'en_apremio';
+  const resolucion = (cols[12] || '').trim();
+  if (resolucion && !/^(no|-)$/i.test(resolucion)) return 'en_juzgado';
+  return estado;
+}
+
+module.exports = { fetchMendoza };
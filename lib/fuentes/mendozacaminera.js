@@ -0,0 +1,185 @@
+/**
+ * Mendoza Caminera (Vial Caminera — Policía Caminera de Mendoza).
+ *
+ * GeneXus Java 16 fullAjax portal. No reCAPTCHA required for lookups.
+ * Three-step flow:
+ *   1. GET initial page to obtain GX session cookies + GXState (GX_AJAX_KEY, AJAX_SECURITY_TOKEN, JWT).
+ *   2. POST fullAjax DOMINIO.CLICK event (JSON body, AES-128-ECB encrypted URL param).
+ *   3. POST fullAjax ENTER event with dominio (returns fine list in gxValues/gxGrids).
+ *
+ * URL: https://sistemas.seguridad.mendoza.gov.ar/webvialcaminera/servlet/com.pagosdeuda.wpdeudaonline
+ */
+
+const { CookieJar } = require('tough-cookie');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion, vencimientos, texto } = require('../infraccion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+
+async function fetchMendozaCaminera({ http }, dominio, fase) {
+  const crypto = require('crypto');
+  const BASE_URL = 'https://sistemas.seguridad.mendoza.gov.ar/webvialcaminera/servlet/com.pagosdeuda.wpdeudaonline';
+
+  // AES-128-ECB encrypt a plaintext string using a 32-hex-char key.
+  // GeneXus pads the plaintext to a 16-byte boundary with null bytes (formatPlaintext).
+  function gxEncrypt(plaintext, hexKey) {
+    const key = Buffer.from(hexKey, 'hex');
+    const bytes = Buffer.from(plaintext, 'ascii');
+    const padded = Buffer.alloc(Math.ceil(bytes.length / 16) * 16, 0);
+    bytes.copy(padded);
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(padded), cipher.final()]).toString('hex');
+  }
+
+  // Helper: extract GXState JSON from HTML page
+  function extractGXState(html) {
+    const nameIdx = html.indexOf('name="GXState"');
+    if (nameIdx < 0) {
+      if (/no disponible|mantenimiento/i.test(html)) throw errorTipado('PORTAL_MANTENIMIENTO', 'El portal de Mendoza Caminera no está disponible. Intente más tarde.');
+      throw errorDeDeriva('Mendoza Caminera', 'no se encontró el campo GXState');
+    }
+    const chunk = html.slice(nameIdx, nameIdx + 10000);
+    const m = chunk.match(/value='([\s\S]*?)'(?:\s*\/?>|\s*>)/);
+    if (!m) throw errorDeDeriva('Mendoza Caminera', 'no se pudo leer el valor de GXState');
+    return JSON.parse(m[1].replace(/&lt;/g,'<').replace(/&gt;/g,'>').replace(/&amp;/g,'&').replace(/&quot;/g,'"').replace(/&#39;/g,"'"));
+  }
+
+  // Step 1: GET the initial page to obtain GX session cookies and GXState tokens.
+  fase('sesion');
+  const jar = new CookieJar();
+  const homeResp = await http.get(BASE_URL, { jar, withCredentials: true });
+  const homeHtml = String(homeResp.data);
+
+  const gxState = extractGXState(homeHtml);
+  const gxAjaxKey           = gxState['GX_AJAX_KEY'];
+  const ajaxSecurityToken   = gxState['AJAX_SECURITY_TOKEN'];
+  const authJwt             = gxState['GX_AUTH_WPDEUDAONLINE'];
+  const websocketId         = gxState['GX_WEBSOCKET_ID'];
+
+  if (!gxAjaxKey || !ajaxSecurityToken || !authJwt) {
+    throw errorDeDeriva('Mendoza Caminera', 'faltan los tokens de sesión en GXState');
+  }
+
+  // Encrypt "gxfullajaxEvt" with the AES key to build the URL query param.
+  const encryptedEvt = gxEncrypt('gxfullajaxEvt', gxAjaxKey);
+  const ajaxUrl = `${BASE_URL}?gxfullajaxEvt=${encryptedEvt}`;
+
+  const cookies = jar.getCookiesSync(BASE_URL).map(c => `${c.key}=${c.value}`).join('; ');
+  const ajaxHeaders = {
+    'Content-Type':         'application/json',
+    'Accept':               'application/json, text/javascript, */*; q=0.01',
+    'GxAjaxRequest':        '1',
+    'AJAX_SECURITY_TOKEN':  ajaxSecurityToken,
+    'X-GXAUTH-TOKEN':       authJwt,
+    'Origin':               'https://sistemas.seguridad.mendoza.gov.ar',
+    'Referer':              BASE_URL,
+    'Cookie':               cookies,
+  };
+
+  // Step 2: POST DOMINIO.CLICK to activate the plate search mode.
+  // Input parms for DOMINIO.CLICK (from EvtParms["DOMINIO.CLICK"][0]):
+  // [vPRMVALORTXT1, vPRMVALORTXT2, PRMCLAVE, vPRMCLAVE, PRMVALORTXT1, PRMVALORTXT2] — all empty.
+  const domClickBody = JSON.stringify({
+    MPage: false, cmpCtx: '', parms: ['', '', '', '', '', ''], hsh: [],
+    objClass: 'wpdeudaonline', pkgName: 'com.pagosdeuda',
+    events: ['DOMINIO.CLICK'],
+    gxstate: { GX_WEBSOCKET_ID: websocketId },
+    grids: {},
+  });
+  await http.post(ajaxUrl, domClickBody, { headers: ajaxHeaders });
+
+  // Step 3: POST ENTER event with the plate number.
+  fase('consulta');
+  // Input parms for ENTER (from EvtParms.ENTER[0]):
+  // [vCAPTCHAVISIBLE, GPXRECAPTCHA1_Response, vELECCION, vTIPOOBJETO, vOJTIDENTIFICADOR1, vCRITERIOBUSQUEDA, PRMCLAVE, PRMVALORTXT1]
+  const enterBody = JSON.stringify({
+    MPage: false, cmpCtx: '', parms: ['', '', '', 'DOM', dominio, 'DOMINIO:', '', ''], hsh: [],
+    objClass: 'wpdeudaonline', pkgName: 'com.pagosdeuda',
+    events: ['ENTER'],
+    gxstate: { GX_WEBSOCKET_ID: websocketId },
+    grids: {},
+  });
+  const enterResp = await http.post(ajaxUrl, enterBody, { headers: ajaxHeaders });
+  fase('parseo');
+  const result = enterResp.data;
+
+  // "No existe ninguna deuda" message → no fines
+  const messages = (result.gxMessages && (result.gxMessages.MAIN || result.gxMessages.W0077)) || [];
+  const noDebt = messages.some(m =>
+    typeof m.text === 'string' && /no existe ninguna deuda|no se encontr/i.test(m.text)
+  );
+  if (noDebt) return [];
+
+  const infracciones = [];
+
+  // The W0077 web component gxValues contains the fine list as AV14objetos (JSON string) or W0077Sdtdetalledeuda.
+  const gxValues = result.gxValues || [];
+  for (const ctx of gxValues) {
+    if (ctx.CmpContext !== 'W0077') continue;
+    const titular = texto(ctx.AV9Titular);
+
+    // Prefer the structured grid W0077Sdtdetalledeuda over the raw JSON string.
+    const sdtList = ctx.W0077Sdtdetalledeuda || ctx['W0077vSDTDETALLEDEUDA'] || [];
+    if (sdtList.length > 0) {
+      sdtList.forEach(item => {
+        infracciones.push(crearInfraccion('mendozacaminera', {
+          acta:        item.obnId    || item.concepto || null,
+          ...fechas(null),
+          descripcion: [item.concepto, item.subConcepto].filter(Boolean).join(' - ') || null,
+          lugar:       null,
+          ...importes(item.importeTotal),
+          ...estados(item.tipo),
+          jurisdiccion: 'Mendoza',
+          organismo:   'Policía Vial Caminera de Mendoza',
+          titular,
+          vencimientos: vencimientos([item.vencimiento, item.importeTotal]),
+        }));
+      });
+    } else {
+      // Fallback: parse AV14objetos JSON string
+      let objetos = [];
+      try { objetos = JSON.parse(ctx.AV14objetos || '[]'); } catch(_) {}
+      objetos.forEach(item => {
+        infracciones.push(crearInfraccion('mendozacaminera', {
+          acta:        item.ObnId    || item.tasa || null,
+          ...fechas(null),
+          descripcion: [item.concepto, item.subconcepto].filter(Boolean).join(' - ') || item.tasa || null,
+          lugar:       null,
+          ...importes(item.cuotaDeudaTotal || item.saldoCap),
+          ...estados(null, 'pendiente'),  // the debt list only holds unpaid items
+          jurisdiccion: 'Mendoza',
+          organismo:   'Policía Vial Caminera de Mendoza',
+          titular:     texto(item.persona) || titular,
+          vencimientos: vencimientos([item.ocvfechavto, item.cuotaDeudaTotal || item.saldoCap]),
+        }));
+      });
+    }
+  }
+
+  // Also check gxHiddens for the W0077vOBJETOS JSON string (backup)
+  if (infracciones.length === 0 && result.gxHiddens && result.gxHiddens.W0077vOBJETOS) {
+    let objetos = [];
+    try { objetos = JSON.parse(result.gxHiddens.W0077vOBJETOS || '[]'); } catch(_) {}
+    objetos.forEach(item => {
+      infracciones.push(crearInfraccion('mendozacaminera', {
+        acta:        item.ObnId || item.tasa || null,
+        ...fechas(null),
+        descripcion: [item.concepto, item.subconcepto].filter(Boolean).join(' - ') || item.tasa || null,
+        lugar:       null,
+        ...importes(item.cuotaDeudaTotal || item.saldoCap),
+        ...estados(null, 'pendiente'),
+        jurisdiccion: 'Mendoza',
+        organismo:   'Policía Vial Caminera de Mendoza',
+        titular:     texto(item.persona),
+        vencimientos: vencimientos([item.ocvfechavto, item.cuotaDeudaTotal || item.saldoCap]),
+      }));
+    });
+  }
+
+  return validarResultado('Mendoza Caminera', infracciones, { tabla: gxValues.some(ctx => ctx.CmpContext === 'W0077') });
+}
+
+module.exports = { fetchMendozaCaminera };
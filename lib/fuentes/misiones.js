@@ -0,0 +1,73 @@
+/**
+ * Misiones Provincia (Monitoreo Vial).
+ *
+ * Angular SPA with its own hardcoded Bearer token and REST API.
+ * POST /api/dominio → validate, POST /api/infracciones → fetch list.
+ * Same API as Entre Ríos: the list searches by `consulta` 'dominio', 'dni' or
+ * 'cuit'; only plates go through the validation step.
+ */
+
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion, texto } = require('../infraccion');
+const { paginar } = require('../paginacion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+const { tipoDe } = require('../consulta');
+
+async function fetchMisiones({ http }, dominio, fase, meta) {
+  const BASE   = 'https://api.monitoreovialmisiones.info/api';
+  const BEARER = '5a49/AaqwnY-BFHJu-fNoYhW2q39is8=EOOgeP-soK2!M-73MADLwLQUPBdKHrZ!rynfOGF/ji5ykmbBoreT-yO!/nA7vymR/PdJTaGh4VVCc412q?eH1EAYA45VduBNbGYib8bC1qmJvEG?/d8ryiNUggzUEki86GQuM5=095r3etYmie4Yp59j4pVm2?5YULIuF5P!YUqPb0pe8LNLz7JkEBN9TMpG9kQ7HRZbrrycP9QjEzgbAM!v2drsy6vXRtBIhj?llXmqFHeXvWCYUxB4p6-JH!j-143tUq?wMZIr6k7WUzA0JjuTt/JBl0OunudtlKeidKkcGx!spUlCRWitnQDfPEaFti/xLavb97XWXmtwaOF2vnv69DncJfu1EOjrEX-?ZTBL?zi6v/4H7-EqsZ?TIpgj40ZiZ-ria9LIhDnbdbxP?xzngzgxmOsaHBd9Jru=Uc1evzaKz8Q2!C60Q-uuvv0JXFvd?VJ=eCFZDHm24H';
+  const authHeaders = { Authorization: `Bearer ${BEARER}`, Accept: 'application/json' };
+
+  // Step 1: validate domain
+  const tipo = tipoDe(dominio);
+  if (tipo === 'dominio') {
+    fase('sesion');
+    const valid = await http.post(`${BASE}/dominio`, { dominio }, { headers: authHeaders });
+    if (valid.data && valid.data.error) {
+      throw errorTipado('DOMINIO_NO_ENCONTRADO', 'Misiones: dominio no encontrado.');
+    }
+  }
+
+  // Step 2: fetch infractions, one page at a time
+  fase('consulta');
+  const { items: list, truncated } = await paginar(async pagina => {
+    const params = new URLSearchParams({
+      consulta: tipo,
+      id:       dominio,
+      pagina:   String(pagina),
+      page:     String(pagina),
+    });
+    const res = await http.post(`${BASE}/infracciones`, params.toString(), {
+      headers: {
+        ...authHeaders,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+    const data = res.data;
+    const items = (data && data.datos && data.datos.infracciones) || data.infracciones || data.data || data.items;
+    if (!Array.isArray(items)) throw errorDeDeriva('Misiones', 'la respuesta no trae la lista de infracciones');
+    // Paging markers live next to the list: under `datos` when present.
+    return { items, body: (data && data.datos) || data };
+  }, { etiqueta: 'Misiones' });
+  meta.truncated = truncated;
+
+  fase('parseo');
+
+  const infracciones = list.map(i => crearInfraccion('misiones', {
+    acta:        i.nroActa || i.acta || i.numero || null,
+    ...fechas(i.fecha || i.fechaInfraccion),
+    descripcion: i.descripcion || i.motivo || i.articulo || null,
+    lugar:       i.lugar || i.direccion || null,
+    ...importes(i.importe || i.monto || i.deuda),
+    ...estados(i.estado),
+    jurisdiccion: i.jurisdiccion || 'Misiones',
+    organismo:   texto(i.juzgado || i.organismo),
+    titular:     texto(i.titular),
+  }));
+  return validarResultado('Misiones', infracciones, { vacio: true });
+}
+
+module.exports = { fetchMisiones };
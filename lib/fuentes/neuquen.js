@@ -0,0 +1,65 @@
+/**
+ * Neuquén Capital (Municipalidad de Neuquén — Fotomultas).
+ *
+ * Open REST JSON API. No captcha, no auth, CORS open.
+ * POST /infraccion_patente_p → { data: [...] | null, error: string | null }
+ * `datos_sobre` says what `valor` is: 'dominio' or 'dni'.
+ * HTTP 404 + error = no infractions; HTTP 200 + data = infractions found.
+ * Any other 404 (an HTML Not Found from a moved endpoint) is drift, not "sin multas".
+ */
+
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion, texto } = require('../infraccion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+const { tipoDe } = require('../consulta');
+
+async function fetchNeuquen({ http }, dominio, fase) {
+  const BASE = 'https://webservice.muninqn.gov.ar/foto-multa/api';
+
+  const tipo = tipoDe(dominio);
+
+  fase('consulta');
+  const res = await http.post(
+    `${BASE}/infraccion_patente_p`,
+    { datos_sobre: tipo, valor: dominio },
+    {
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      validateStatus: () => true,   // handle 404 manually
+    }
+  );
+
+  fase('parseo');
+  const { data, error } = res.data || {};
+
+  // validateStatus lets 5xx through: keep the response on the error so
+  // lib/reintentos backs off and retries it like any other portal outage.
+  if (res.status === 503) throw errorTipado('PORTAL_MANTENIMIENTO', 'El portal de Neuquén está en mantenimiento. Intente más tarde.', { response: res });
+  if (res.status >= 500) throw errorTipado('PORTAL_ERROR', `Portal Neuquén no disponible (HTTP ${res.status}).`, { response: res });
+  if (error === 'No se encontraron infracciones') return [];
+  if (res.status === 404) throw errorDeDeriva('Neuquén', 'HTTP 404 sin el aviso de "sin infracciones"');
+  if (res.status === 422) {
+    throw tipo === 'dominio'
+      ? errorTipado('DOMINIO_INVALIDO', 'Formato de dominio incorrecto para Neuquén.')
+      : errorTipado('DOCUMENTO_INVALIDO', 'Neuquén rechazó el número de documento.');
+  }
+  if (!data || !Array.isArray(data)) {
+    throw errorTipado('PORTAL_ERROR', typeof error === 'string' ? error : `Portal Neuquén no disponible (HTTP ${res.status}).`);
+  }
+
+  const infracciones = data.map(i => crearInfraccion('neuquen', {
+    acta:        i.nro_acta || i.acta || i.id || null,
+    ...fechas(i.fecha || i.fecha_infraccion),
+    descripcion: i.descripcion || i.motivo || i.tipo || null,
+    lugar:       i.lugar || i.direccion || null,
+    ...importes(i.importe || i.monto),
+    ...estados(i.estado),
+    jurisdiccion: 'Neuquén Capital',
+    organismo:   texto(i.juzgado),
+  }));
+  return validarResultado('Neuquén', infracciones, { vacio: true });
+}
+
+module.exports = { fetchNeuquen };
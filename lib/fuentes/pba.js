@@ -0,0 +1,100 @@
+/**
+ * Provincia Buenos Aires.
+ *
+ * New endpoint (as of 2026): GET /rest/consultar-infraccion requires reCAPTCHA
+ * and an X-CSRF-TOKEN taken from the #root div's token attribute.
+ */
+
+const { CookieJar } = require('tough-cookie');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados, clasificarEstado } = require('../estado');
+const { crearInfraccion, texto } = require('../infraccion');
+const { paginar } = require('../paginacion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+
+async function fetchPBA({ http, resolverCaptcha, reportarCaptcha }, dominio, fase, meta) {
+  const BASE     = 'https://infraccionesba.gba.gob.ar';
+  const PAGE_URL = `${BASE}/consulta-infraccion`;
+  const SITE_KEY = '6LeGXnkUAAAAAGHv-jMgqrOMx4eqHCh3_fEeP9wR';
+
+  // Step 1: load the page to get session cookie + CSRF token
+  fase('sesion');
+  const jar  = new CookieJar();
+  const home = await http.get(PAGE_URL, { jar, withCredentials: true });
+  const html = String(home.data);
+
+  const csrfMatch = html.match(/id="root"[^>]*token="([^"]+)"/);
+  if (!csrfMatch) throw errorDeDeriva('PBA', 'no se encontró el CSRF token');
+  const csrfToken = csrfMatch[1];
+
+  // Step 2: solve reCAPTCHA
+  fase('captcha');
+  console.log(`[PBA] Resolviendo reCAPTCHA (sitekey: ${SITE_KEY})…`);
+  let captcha = await resolverCaptcha({ siteKey: SITE_KEY, pageUrl: PAGE_URL });
+  console.log(`[PBA] reCAPTCHA resuelto.`);
+
+  // Step 3: call the new REST endpoint, page by page. Later pages reuse the
+  // same session and token; if the portal refuses the token on a later page we
+  // report it, solve one more captcha and retry that page before giving up on
+  // the rest (the paginator keeps the pages already read, so that last refused
+  // token is reported here too). A refusal on the first page is left to
+  // buscar()'s retry policy, which reports it.
+  fase('consulta');
+  const POR_PAGINA = 10;
+  const cookies = jar.getCookiesSync(BASE).map(c => `${c.key}=${c.value}`).join('; ');
+  const pedirPagina = async paginaActual => (await http.get(`${BASE}/rest/consultar-infraccion`, {
+    params: { dominio, reCaptcha: captcha.token, cantPorPagina: POR_PAGINA, paginaActual },
+    headers: {
+      'Cookie':       cookies,
+      'Referer':      PAGE_URL,
+      'Accept':       'application/json',
+      'X-CSRF-TOKEN': csrfToken,
+    },
+  })).data;
+
+  const { items: list, truncated } = await paginar(async pagina => {
+    let data = await pedirPagina(pagina);
+    if (data.error && pagina > 1) {
+      console.log(`[PBA] Token rechazado en la página ${pagina}; resolviendo otro reCAPTCHA…`);
+      await reportarCaptcha(captcha.id);
+      captcha = await resolverCaptcha({ siteKey: SITE_KEY, pageUrl: PAGE_URL });
+      data = await pedirPagina(pagina);
+    }
+    if (data.error) {
+      if (pagina > 1) await reportarCaptcha(captcha.id);
+      throw errorTipado('CAPTCHA_RECHAZADO', 'El portal PBA rechazó la consulta (posiblemente captcha inválido).', { captchaId: captcha.id });
+    }
+    if (!Array.isArray(data.infracciones)) throw errorDeDeriva('PBA', 'la respuesta no trae la lista de infracciones');
+    return { items: data.infracciones, body: data };
+  }, { porPagina: POR_PAGINA, etiqueta: 'PBA' });
+  meta.truncated = truncated;
+
+  fase('parseo');
+
+  const infracciones = list.map(i => crearInfraccion('pba', {
+    acta:        i.nroActa || i.numeroCausa || i.acta || null,
+    ...fechas(i.fechaInfraccion || i.fecha),
+    descripcion: i.descripcionFalta || i.descripcion || i.articulo || null,
+    lugar:       i.lugar || null,
+    ...importes(i.importe || i.monto || i.deuda),
+    ...estados(i.estado, estadoPBA(i)),
+    jurisdiccion: 'Provincia de Buenos Aires',
+    organismo:   texto(i.juzgado),
+    titular:     texto(i.titular),
+  }));
+  return validarResultado('PBA', infracciones, { vacio: true });
+}
+
+// PBA reports juzgado involvement separately from the payment status: a fine
+// whose case has been sent to (or resolved by) a juzgado is en_juzgado even
+// when `estado` still reads "pendiente".
+function estadoPBA(i) {
+  const estado = clasificarEstado(i.estado);
+  if (estado !== 'pendiente') return estado;
+  if (i.estadoJuzgado || i.enJuzgado || /juzg|resoluc|sentencia/i.test(i.estadoCausa || '')) return 'en_juzgado';
+  return estado;
+}
+
+module.exports = { fetchPBA };
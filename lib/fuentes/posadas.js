@@ -0,0 +1,53 @@
+/**
+ * Posadas / Municipio de Posadas (Misiones).
+ *
+ * Simple POST form, no captcha required.
+ */
+
+const cheerio = require('cheerio');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion } = require('../infraccion');
+const { validarResultado } = require('../deriva');
+
+async function fetchPosadas({ http }, dominio, fase) {
+  const URL = 'https://sistema.posadas.gov.ar/mp_sistemas/autogestion/verificarmultadominio';
+
+  fase('consulta');
+  const formData = new URLSearchParams({ tf_dominio: dominio });
+  const res = await http.post(URL, formData.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Referer':      'https://sistema.posadas.gov.ar/mp_sistemas/autogestion/multasdominio',
+    },
+  });
+
+  fase('parseo');
+  const $ = cheerio.load(String(res.data));
+  const infracciones = [];
+
+  // "NO REGISTRA Actas" → empty
+  const bodyText = $('body').text();
+  if (/no registra/i.test(bodyText)) return [];
+
+  // Table rows
+  $('table tbody tr, table tr').each((i, row) => {
+    if (i === 0) return;
+    const cols = $(row).find('td').map((_, td) => $(td).text().trim()).get();
+    if (cols.length < 2) return;
+    infracciones.push(crearInfraccion('posadas', {
+      acta:        cols[0] || null,
+      ...fechas(cols[1]),
+      descripcion: cols[2] || null,
+      lugar:       cols[3] || null,
+      ...importes(cols[4]),
+      ...estados(cols[5]),
+      jurisdiccion: 'Municipio de Posadas',
+    }));
+  });
+
+  return validarResultado('Posadas', infracciones, { tabla: $('table').length > 0 });
+}
+
+module.exports = { fetchPosadas };
@@ -0,0 +1,100 @@
+/**
+ * Rosario (Municipalidad de Rosario, Santa Fe).
+ *
+ * Java servlet (Tomcat). JSESSIONID must be embedded in the POST URL.
+ * reCAPTCHA v3 with sitekey 6LcUUMUUAAAAAHd5V8Y7RYJ4L91xP9uhD8uAspSL.
+ */
+
+const cheerio = require('cheerio');
+const { CookieJar } = require('tough-cookie');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion } = require('../infraccion');
+const { validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+
+async function fetchRosario({ http, resolverCaptcha }, dominio, fase) {
+  const BASE     = 'https://www.rosario.gob.ar';
+  const FORM_URL = `${BASE}/gdm/patente.do`;
+  const SITE_KEY = '6LcUUMUUAAAAAHd5V8Y7RYJ4L91xP9uhD8uAspSL';
+
+  // Step 1: GET the form to obtain JSESSIONID
+  // The cookie has Path=/gdm so the jar won't return it for the base URL;
+  // parse Set-Cookie directly from the response headers instead.
+  fase('sesion');
+  const jar  = new CookieJar();
+  const home = await http.get(`${FORM_URL}?accion=ir`, { jar, withCredentials: true });
+
+  let jsessionid = null;
+  const setCookieHeaders = [].concat(home.headers['set-cookie'] || []);
+  for (const c of setCookieHeaders) {
+    const m = c.match(/JSESSIONID=([^;]+)/i);
+    if (m) { jsessionid = m[1]; break; }
+  }
+  if (!jsessionid) throw errorTipado('PORTAL_ERROR', 'No se pudo obtener la sesión del portal de Rosario.');
+
+  // Step 2: solve reCAPTCHA v3
+  fase('captcha');
+  console.log(`[Rosario] Resolviendo reCAPTCHA v3 (sitekey: ${SITE_KEY})…`);
+  const { token: captchaToken, id: captchaId } = await resolverCaptcha({
+    siteKey: SITE_KEY, pageUrl: `${FORM_URL}?accion=ir`,
+    version: 'v3', action: 'homepagePatente', minScore: 0.7, invisible: true,
+  });
+  console.log(`[Rosario] reCAPTCHA v3 resuelto.`);
+
+  // Step 3: POST with jsessionid embedded in URL
+  fase('consulta');
+  const formData = new URLSearchParams({
+    accion:                 'consultar',
+    patente:                dominio,
+    'g-recaptcha-response': captchaToken,
+  });
+
+  const cookieStr = `JSESSIONID=${jsessionid}`;
+  const res = await http.post(`${FORM_URL};jsessionid=${jsessionid}`, formData.toString(), {
+    jar,
+    withCredentials: true,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Referer':      `${FORM_URL}?accion=ir`,
+      'Cookie':       cookieStr,
+    },
+  });
+
+  fase('parseo');
+  const $ = cheerio.load(String(res.data));
+
+  // Form errors: a refused captcha, or the plate failing validation
+  if ($('.govuk-error-summary').length) {
+    const errText = $('.govuk-error-summary__list').text().trim() || $('.govuk-error-summary').text().trim();
+    if (/captcha|robot/i.test(errText)) throw errorTipado('CAPTCHA_RECHAZADO', `Rosario devolvió error: ${errText}`, { captchaId });
+    throw errorTipado('DOMINIO_INVALIDO', `Rosario devolvió error: ${errText}`);
+  }
+
+  const infracciones = [];
+
+  // Parse results table
+  $('table tbody tr, table tr').each((i, row) => {
+    if (i === 0) return;
+    const cols = $(row).find('td').map((_, td) => $(td).text().trim()).get();
+    if (cols.length < 2) return;
+    infracciones.push(crearInfraccion('rosario', {
+      acta:        cols[0] || null,
+      ...fechas(cols[1]),
+      descripcion: cols[2] || null,
+      lugar:       cols[3] || null,
+      ...importes(cols[4]),
+      ...estados(cols[5]),
+      jurisdiccion: 'Rosario',
+    }));
+  });
+
+  // "no registra" message → empty
+  return validarResultado('Rosario', infracciones, {
+    vacio: /no registra|sin infracciones|no pose/i.test($('body').text()),
+    tabla: $('table').length > 0,
+  });
+}
+
+module.exports = { fetchRosario };
@@ -0,0 +1,63 @@
+/**
+ * Salta Capital (DGR Salta — Multas de Tránsito).
+ *
+ * Angular SPA at www.dgrmsalta.gov.ar (redirects to rentas.dgrmsalta.gov.ar).
+ * REST API endpoint POST /api/automotores/multas.
+ * reCAPTCHA v3 is only enforced on the frontend — the backend accepts an empty token.
+ * No Bearer token or session required.
+ */
+
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados, clasificarEstado } = require('../estado');
+const { crearInfraccion, texto } = require('../infraccion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+
+async function fetchSalta({ http }, dominio, fase) {
+  const API_BASE = 'https://rentas.dgrmsalta.gov.ar/api';
+
+  fase('consulta');
+  const res = await http.post(
+    `${API_BASE}/automotores/multas`,
+    { dominio, recaptcha: '' },
+    {
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      validateStatus: s => s === 200 || s === 404 || s === 400,
+    }
+  );
+
+  fase('parseo');
+  // "no posée multas pendientes" (with a 404) → no fines; any other 404 means the endpoint moved.
+  if (res.data && /no pos[eé]{1,2} multas/i.test(res.data.message || '')) return [];
+  if (res.status === 404) throw errorDeDeriva('Salta', 'HTTP 404 sin el aviso de "sin multas"');
+  if (res.status === 400) throw errorTipado('DOMINIO_INVALIDO', `Salta: ${res.data?.message || 'Dominio inválido.'}`);
+
+  const list = res.data?.multas;
+  if (!Array.isArray(list)) throw errorDeDeriva('Salta', 'la respuesta no trae la lista de multas');
+
+  const infracciones = list.map(i => crearInfraccion('salta', {
+    acta:        String(i.numeroObligacionImpuesto || i.acta || ''),
+    ...fechas(i.fechaInfraccion),
+    descripcion: [i.descripcion, i.articulo].filter(Boolean).join(' – ') || null,
+    lugar:       [i.calle, i.altura ? `N° ${i.altura}` : null].filter(Boolean).join(' ') || null,
+    ...importes(i.importe || i.monto),
+    ...estados(i.estadoPlanPago || i.estado, estadoSalta(i)),
+    jurisdiccion: 'Salta Capital',
+    organismo:   texto(i.organismo || i.juzgado),
+    titular:     texto(i.titular),
+  }));
+  return validarResultado('Salta', infracciones, { vacio: true });
+}
+
+// A non-empty estadoPlanPago means the fine is inside a payment plan unless the
+// plan itself says it was paid off or dropped.
+function estadoSalta(i) {
+  if (i.estadoPlanPago) {
+    const plan = clasificarEstado(i.estadoPlanPago, 'en_plan_de_pago');
+    return plan === 'pendiente' ? 'en_plan_de_pago' : plan;
+  }
+  return clasificarEstado(i.estado);
+}
+
+module.exports = { fetchSalta };
@@ -0,0 +1,43 @@
+/**
+ * Santa Fe.
+ */
+
+const cheerio = require('cheerio');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion } = require('../infraccion');
+const { validarResultado } = require('../deriva');
+
+async function fetchSantaFe({ http }, dominio, fase) {
+  const url = `https://www.santafe.gov.ar/juzgadovirtual/consultaInfraccion.do`;
+  const params = new URLSearchParams({ method: 'BusquedaVehiculo', dominio });
+
+  fase('consulta');
+  const res = await http.get(`${url}?${params}`);
+  fase('parseo');
+  const $   = cheerio.load(res.data);
+  const infracciones = [];
+
+  $('table.grilla tbody tr, table.listado tr').each((i, row) => {
+    if (i === 0) return;
+    const cols = $(row).find('td').map((_, td) => $(td).text().trim()).get();
+    if (cols.length < 2) return;
+    infracciones.push(crearInfraccion('santafe', {
+      acta:        cols[0]||null,
+      ...fechas(cols[1]),
+      descripcion: cols[2]||null,
+      lugar:       cols[3]||null,
+      ...importes(cols[4]),
+      ...estados(null, 'pendiente'),  // the grid has no status column; only open fines are listed
+      jurisdiccion: 'Santa Fe',
+    }));
+  });
+
+  return validarResultado('Santa Fe', infracciones, {
+    vacio: /no se encontraron|no registra|sin infracciones/i.test($('body').text()),
+    tabla: $('table.grilla, table.listado').length > 0,
+  });
+}
+
+module.exports = { fetchSantaFe };
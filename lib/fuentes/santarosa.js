@@ -0,0 +1,68 @@
+/**
+ * Santa Rosa, La Pampa (Municipalidad de Santa Rosa — Fotomultas).
+ *
+ * Flask/Python app. Requires GET→POST two-step for CSRF token + session cookie.
+ * No captcha. Response is HTML.
+ */
+
+const cheerio = require('cheerio');
+const { CookieJar } = require('tough-cookie');
+const { fechas } = require('../fecha');
+const { importes } = require('../importe');
+const { estados } = require('../estado');
+const { crearInfraccion } = require('../infraccion');
+const { errorDeDeriva, validarResultado } = require('../deriva');
+const { errorTipado } = require('../errores');
+
+async function fetchSantaRosa({ http }, dominio, fase) {
+  const BASE = 'https://fotomultas.santarosa.gob.ar/';
+  const jar  = new CookieJar();
+
+  // Step 1: GET the form to obtain tr_session cookie + CSRF token
+  fase('sesion');
+  const home = await http.get(BASE, { jar, withCredentials: true });
+  const $h   = cheerio.load(home.data);
+  const csrf = $h('input[name="csrf_token"]').val();
+  if (!csrf) throw errorDeDeriva('Santa Rosa', 'no se encontró el CSRF token');
+
+  // Step 2: POST the query
+  fase('consulta');
+  const form = new URLSearchParams({ csrf_token: csrf, busqueda_tipo: 'Dominio', dominio });
+  const cookies = jar.getCookiesSync('https://fotomultas.santarosa.gob.ar').map(c => `${c.key}=${c.value}`).join('; ');
+  const res = await http.post(BASE, form.toString(), {
+    jar, withCredentials: true,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Referer':      BASE,
+      'Cookie':       cookies,
+    },
+  });
+
+  fase('parseo');
+  const $ = cheerio.load(String(res.data));
+
+  if ($('body').text().includes('No se encontraron infracciones')) return [];
+
+  // Validation error
+  const errText = $('article.red li, .red li').first().text().trim();
+  if (errText) throw errorTipado('DOMINIO_INVALIDO', `Santa Rosa: ${errText}`);
+
+  const infracciones = [];
+  $('table tbody tr').each((_, row) => {
+    const cols = $(row).find('td').map((_, td) => $(td).text().trim()).get();
+    if (cols.length < 2) return;
+    infracciones.push(crearInfraccion('santarosa', {
+      acta:        cols[0] || null,
+      ...fechas(cols[1]),
+      descripcion: cols[2] || null,
+      lugar:       cols[3] || null,
+      ...importes(cols[4]),
+      ...estados(cols[5]),
+      jurisdiccion: 'Santa Rosa (La Pampa)',
+    }));
+  });
+
+  return validarResultado('Santa Rosa', infracciones, { tabla: $('table').length > 0 });
+}
+
+module.exports = { fetchSantaRosa };
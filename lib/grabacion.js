@@ -0,0 +1,133 @@
+/**
+ * Record / replay of portal exchanges, so fetchers can be tested offline.
+ *
+ * Both modes are axios adapters installed on the shared `http` client, which
+ * leaves the fetchers' choreography (cookies, hidden fields, tokens) untouched:
+ *
+ *   crearGrabador()          passes requests through to the network and keeps
+ *                            every request / response pair
+ *   crearReproductor(f)      answers from a fixture, in order, without touching
+ *                            the network
+ *
+ * Fixture files (test/fixtures/<fuente>/<escenario>.json):
+ *   { fuente, dominio, escenario, grabadoEn | sintetico: true,
+ *     intercambios: [ { pedido:    { method, url, data },
+ *                       respuesta: { status, url, headers, data } } ],
+ *     esperado: { infracciones: [ … ] } | { error: '<texto del mensaje>', codigo },
+ *               plus an optional captchasReportados (tokens reported as refused) }
+ *
+ * `grabadoEn` is when a recorded fixture was captured from the live portal.
+ * Hand-written fixtures (modelled on the portal's markup, not captured) carry
+ * `sintetico: true` instead, and no capture time (test/fixtures/README.md).
+ *
+ * `respuesta.url` is the final URL after redirects; fetchers that look at it
+ * (Mendoza) read it from res.request.res.responseUrl as with the real adapter.
+ * `respuesta.data` is the raw body: a string for HTML, an object for JSON.
+ */
+
+const fs    = require('fs');
+const path  = require('path');
+const axios = require('axios');
+
+const { AxiosError } = axios;
+
+// Requests are matched on method and URL without the query string: query
+// params carry captcha tokens and session ids that change on every run.
+const sinQuery = url => String(url).split('?')[0];
+
+function crearGrabador() {
+  const red = axios.getAdapter(axios.defaults.adapter);
+  const intercambios = [];
+
+  async function adapter(config) {
+    const pedido = {
+      method: (config.method || 'get').toUpperCase(),
+      url:    axios.getUri(config),
+      data:   config.data === undefined ? null : config.data,
+    };
+    const anotar = res => intercambios.push({
+      pedido,
+      respuesta: {
+        status:  res.status,
+        url:     res.request?.res?.responseUrl || pedido.url,
+        headers: { ...res.headers },
+        data:    cuerpo(res),
+      },
+    });
+
+    try {
+      const res = await red(config);
+      anotar(res);
+      return res;
+    } catch (err) {
+      if (err.response) anotar(err.response);
+      throw err;
+    }
+  }
+
+  return {
+    adapter,
+    intercambios,
+    // Writes the fixture for the lookup just recorded.
+    guardar(archivo, { esperado, ...datos }) {
+      const fixture = { ...datos, grabadoEn: new Date().toISOString(), intercambios, esperado };
+      fs.mkdirSync(path.dirname(archivo), { recursive: true });
+      fs.writeFileSync(archivo, JSON.stringify(fixture, null, 2) + '\n');
+    },
+  };
+}
+
+// JSON bodies are stored parsed so fixtures stay readable and editable.
+function cuerpo(res) {
+  const tipo = String(res.headers['content-type'] || '');
+  if (typeof res.data === 'string' && /json/i.test(tipo)) {
+    try { return JSON.parse(res.data); } catch (_) {}
+  }
+  return res.data;
+}
+
+// `fixture` is a parsed fixture object or a path to one.
+function crearReproductor(fixture) {
+  const f = typeof fixture === 'string' ? leerFixture(fixture) : fixture;
+  const cola = [...f.intercambios];
+
+  async function adapter(config) {
+    const method = (config.method || 'get').toUpperCase();
+    const url    = axios.getUri(config);
+    const sig    = cola.shift();
+    if (!sig) throw new Error(`Fixture agotada: pedido inesperado ${method} ${url}`);
+    if (sig.pedido.method !== method || sinQuery(sig.pedido.url) !== sinQuery(url)) {
+      throw new Error(`Fixture desalineada: se esperaba ${sig.pedido.method} ${sig.pedido.url} y llegó ${method} ${url}`);
+    }
+
+    const { status = 200, headers = {}, data = '' } = sig.respuesta;
+    const res = {
+      data,
+      status,
+      statusText: '',
+      headers,
+      config,
+      request:    { res: { responseUrl: sig.respuesta.url || url } },
+    };
+    // Same rule axios applies to real responses.
+    if (!config.validateStatus || config.validateStatus(status)) return res;
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config, res.request, res,
+    );
+  }
+
+  return {
+    adapter,
+    // Exchanges the fetcher never asked for: the portal flow changed, or the
+    // fixture has more steps than the fetcher takes.
+    pendientes: () => cola.length,
+  };
+}
+
+function leerFixture(archivo) {
+  return JSON.parse(fs.readFileSync(archivo, 'utf8'));
+}
+
+module.exports = { crearGrabador, crearReproductor, leerFixture };
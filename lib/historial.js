@@ -0,0 +1,171 @@
+/**
+ * Lookup history: every successful live lookup, kept in SQLite.
+ *
+ * One row per lookup in `consultas` (dominio, fuente, consultado_en) and one
+ * per infraction in `infracciones`, with the full normalized record as JSON
+ * plus the columns the diff needs. Nothing is ever updated or pruned: the
+ * table is the evidence of when a fine was first listed.
+ *
+ * The state of a plate at a point in time is, per source, the latest lookup
+ * at or before it. diff() compares two such states by `acta` (records without
+ * one can't be followed and are skipped):
+ *   aparecida     listed at `hasta`, not at `desde`
+ *   modificada    listed at both, with a different estado or importeCentavos
+ *   desaparecida  listed at `desde`, gone at `hasta`
+ * Without `desde` the first lookup of each source is the reference; without
+ * `hasta`, the latest one. Sources with no lookup at one of the two points are
+ * listed in `sinReferencia` rather than guessed. When the later lookup was a
+ * truncated listing (`parcial` in `fuentes`), actas missing from it may just
+ * be past the cut, so none is reported as desaparecida.
+ *
+ * The database is opened on first use, so requiring the server doesn't create
+ * the file.
+ */
+
+const fs       = require('fs');
+const path     = require('path');
+const Database = require('better-sqlite3');
+
+const ESQUEMA = `
+  CREATE TABLE IF NOT EXISTS consultas (
+    id            INTEGER PRIMARY KEY,
+    dominio       TEXT    NOT NULL,
+    fuente        TEXT    NOT NULL,
+    consultado_en TEXT    NOT NULL,
+    truncated     INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS consultas_dominio ON consultas (dominio, fuente, consultado_en);
+
+  CREATE TABLE IF NOT EXISTS infracciones (
+    consulta_id      INTEGER NOT NULL REFERENCES consultas (id),
+    acta             TEXT,
+    estado           TEXT,
+    importe_centavos INTEGER,
+    datos            TEXT    NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS infracciones_consulta ON infracciones (consulta_id);
+  CREATE INDEX IF NOT EXISTS infracciones_acta     ON infracciones (acta);
+`;
+
+const CAMPOS_DIFF = ['estado', 'importeCentavos'];
+
+function crearHistorial({ archivo = ':memory:' } = {}) {
+  let db = null;
+  let sql;
+  let insertar;
+
+  function abrir() {
+    if (db) return;
+    if (archivo !== ':memory:') fs.mkdirSync(path.dirname(archivo), { recursive: true });
+    db = new Database(archivo);
+    db.pragma('journal_mode = WAL');
+    db.exec(ESQUEMA);
+    sql = {
+      consulta:   db.prepare('INSERT INTO consultas (dominio, fuente, consultado_en, truncated) VALUES (?, ?, ?, ?)'),
+      infraccion: db.prepare('INSERT INTO infracciones (consulta_id, acta, estado, importe_centavos, datos) VALUES (?, ?, ?, ?, ?)'),
+      fuentes:    db.prepare('SELECT DISTINCT fuente FROM consultas WHERE dominio = ? ORDER BY fuente'),
+      hasta:      db.prepare('SELECT * FROM consultas WHERE dominio = ? AND fuente = ? AND consultado_en <= ? ORDER BY consultado_en DESC, id DESC LIMIT 1'),
+      primera:    db.prepare('SELECT * FROM consultas WHERE dominio = ? AND fuente = ? ORDER BY consultado_en, id LIMIT 1'),
+      ultima:     db.prepare('SELECT * FROM consultas WHERE dominio = ? AND fuente = ? ORDER BY consultado_en DESC, id DESC LIMIT 1'),
+      datos:      db.prepare('SELECT datos FROM infracciones WHERE consulta_id = ? ORDER BY rowid'),
+      vistaEn:    db.prepare(`SELECT MIN(c.consultado_en) AS fecha FROM infracciones i JOIN consultas c ON c.id = i.consulta_id
+                              WHERE c.dominio = ? AND c.fuente = ? AND i.acta = ?`),
+    };
+    insertar = db.transaction(({ dominio, fuente, consultadoEn, infracciones, truncated }) => {
+      const { lastInsertRowid: id } = sql.consulta.run(dominio, fuente, consultadoEn, truncated ? 1 : 0);
+      for (const i of infracciones) {
+        sql.infraccion.run(id, i.acta || null, i.estado || null, i.importeCentavos ?? null, JSON.stringify(i));
+      }
+      return Number(id);
+    });
+  }
+
+  const infraccionesDe = consultaId => sql.datos.all(consultaId).map(r => JSON.parse(r.datos));
+
+  const aConsulta = fila => ({
+    id:           fila.id,
+    fuente:       fila.fuente,
+    consultadoEn: fila.consultado_en,
+    truncated:    !!fila.truncated,
+    infracciones: infraccionesDe(fila.id),
+  });
+
+  return {
+    // { dominio, fuente, consultadoEn, infracciones, truncated } → id
+    guardar(consulta) {
+      abrir();
+      return insertar(consulta);
+    },
+
+    // Lookups for a plate, oldest first, each with its infractions.
+    timeline(dominio, { fuente, desde, hasta } = {}) {
+      abrir();
+      const condiciones = ['dominio = ?'];
+      const params      = [dominio];
+      if (fuente) { condiciones.push('fuente = ?');         params.push(fuente); }
+      if (desde)  { condiciones.push('consultado_en >= ?'); params.push(desde); }
+      if (hasta)  { condiciones.push('consultado_en <= ?'); params.push(hasta); }
+      return db.prepare(`SELECT * FROM consultas WHERE ${condiciones.join(' AND ')} ORDER BY consultado_en, id`)
+        .all(...params)
+        .map(aConsulta);
+    },
+
+    // Changes between the plate's state at `desde` and at `hasta`, per source.
+    diff(dominio, { fuente, desde, hasta } = {}) {
+      abrir();
+      const fuentes = fuente ? [fuente] : sql.fuentes.all(dominio).map(r => r.fuente);
+      const referencias   = [];
+      const sinReferencia = [];
+      const cambios       = [];
+
+      for (const f of fuentes) {
+        const antes   = desde ? sql.hasta.get(dominio, f, desde) : sql.primera.get(dominio, f);
+        const despues = hasta ? sql.hasta.get(dominio, f, hasta) : sql.ultima.get(dominio, f);
+        if (!antes || !despues) {
+          sinReferencia.push(f);  // not looked up yet at one of the two points: nothing to compare
+          continue;
+        }
+        const parcial = !!despues.truncated;
+        referencias.push({ fuente: f, desde: antes.consultado_en, hasta: despues.consultado_en, parcial });
+
+        const porActa = fila => new Map(infraccionesDe(fila.id).filter(i => i.acta).map(i => [i.acta, i]));
+        const previas = porActa(antes);
+        const actuales = porActa(despues);
+        const vistaPorPrimeraVez = acta => sql.vistaEn.get(dominio, f, acta).fecha;
+
+        for (const [acta, actual] of actuales) {
+          const previa = previas.get(acta);
+          if (!previa) {
+            cambios.push({ tipo: 'aparecida', fuente: f, acta, antes: null, despues: actual, vistaPorPrimeraVez: vistaPorPrimeraVez(acta) });
+            continue;
+          }
+          const diferencias = {};
+          for (const campo of CAMPOS_DIFF) {
+            if (previa[campo] !== actual[campo]) diferencias[campo] = { antes: previa[campo], despues: actual[campo] };
+          }
+          if (Object.keys(diferencias).length) {
+            cambios.push({ tipo: 'modificada', fuente: f, acta, antes: previa, despues: actual, cambios: diferencias, vistaPorPrimeraVez: vistaPorPrimeraVez(acta) });
+          }
+        }
+        for (const [acta, previa] of previas) {
+          if (!parcial && !actuales.has(acta)) cambios.push({ tipo: 'desaparecida', fuente: f, acta, antes: previa, despues: null, vistaPorPrimeraVez: vistaPorPrimeraVez(acta) });
+        }
+      }
+
+      const cuenta = tipo => cambios.filter(c => c.tipo === tipo).length;
+      return {
+        fuentes: referencias,
+        sinReferencia,
+        cambios,
+        resumen: { aparecidas: cuenta('aparecida'), modificadas: cuenta('modificada'), desaparecidas: cuenta('desaparecida') },
+      };
+    },
+
+    cerrar() {
+      if (db) db.close();
+      db = null;
+    },
+  };
+}
+
+module.exports = { crearHistorial };
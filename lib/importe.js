@@ -0,0 +1,78 @@
+/**
+ * Money parsing for portal data.
+ *
+ * Portals print amounts in es-AR format ("$ 12.345,67", "ARS 1.500"), while the
+ * JSON APIs send plain numbers or "12345.67" strings. parseCentavos() reads all
+ * of them into integer cents, working on the digit strings so there's no float
+ * rounding on the way.
+ *
+ * Separator rules when the text is ambiguous:
+ *   - both "." and ","  → whichever comes last is the decimal separator
+ *   - only ","          → decimal if it appears once ("12,5"), thousands otherwise
+ *   - only "."          → thousands if repeated or followed by exactly 3 digits
+ *                         ("12.345"), decimal otherwise ("12345.67")
+ */
+
+function parseCentavos(valor) {
+  if (valor === null || valor === undefined) return null;
+  if (typeof valor === 'number') return Number.isFinite(valor) ? Math.round(valor * 100) : null;
+
+  // Drop currency markers ("$", "AR$", "ARS") and whitespace, including nbsp.
+  let s = String(valor).replace(/ar\$|ars|\$/gi, '').replace(/\s+/g, '');
+
+  let negativo = false;
+  if (/^\(.*\)$/.test(s)) { negativo = true; s = s.slice(1, -1); }
+  if (s.startsWith('-'))    { negativo = true; s = s.slice(1); }
+
+  if (!/^[\d.,]+$/.test(s) || !/\d/.test(s)) return null;
+
+  const ultPunto = s.lastIndexOf('.');
+  const ultComa  = s.lastIndexOf(',');
+  let entero = s;
+  let decimales = '';
+
+  const partir = sep => {
+    const i = s.lastIndexOf(sep);
+    entero = s.slice(0, i);
+    decimales = s.slice(i + 1);
+  };
+
+  if (ultPunto >= 0 && ultComa >= 0) {
+    const sep = ultComa > ultPunto ? ',' : '.';
+    partir(sep);
+    if (entero.includes(sep)) return null;  // "1.234.5,6.7": no consistent reading
+  } else if (ultComa >= 0) {
+    if (s.indexOf(',') === ultComa) partir(',');
+  } else if (ultPunto >= 0) {
+    const repetido = s.indexOf('.') !== ultPunto;
+    if (!repetido && s.length - ultPunto - 1 !== 3) partir('.');
+  }
+
+  entero = entero.replace(/[.,]/g, '');
+  if (/[.,]/.test(decimales)) return null;
+  if (!entero && !decimales) return null;
+
+  // Round half up on the third decimal.
+  const frac = (decimales + '00').slice(0, 2);
+  let centavos = Number(entero || '0') * 100 + Number(frac);
+  if (decimales.length > 2 && Number(decimales[2]) >= 5) centavos += 1;
+
+  return negativo ? -centavos : centavos;
+}
+
+// Decimal pesos, or null.
+function parseImporte(valor) {
+  const c = parseCentavos(valor);
+  return c === null ? null : c / 100;
+}
+
+// Amount fields for an infraction record.
+function importes(valor) {
+  const importeCentavos = parseCentavos(valor);
+  return {
+    importe:         importeCentavos === null ? null : importeCentavos / 100,
+    importeCentavos,
+  };
+}
+
+module.exports = { parseCentavos, parseImporte, importes };
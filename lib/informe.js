@@ -0,0 +1,223 @@
+/**
+ * Printable debt report of a lookup (`formato=pdf`), for handing a vehicle
+ * over: what every portal said at a given moment.
+ *
+ * Built offline with pdfkit from the consolidated document of /multas/todas
+ * (the same input as lib/exportar), in four parts:
+ *   Fuentes consultadas     each source with its status and when it answered
+ *                           (cachedAt, so a cached result shows its real age)
+ *   Deuda pendiente         total of the infractions that still owe money
+ *                           (lib/estado adeuda()), per jurisdiction
+ *   Infracciones            one row per infraction with importe and estado
+ *   Aclaraciones            one disclaimer per source that failed or was
+ *                           skipped, so a missing portal never reads as
+ *                           "sin multas", plus the general caveats
+ */
+
+const PDFDocument = require('pdfkit');
+const { adeuda } = require('./estado');
+const { filasInfracciones, filasFuentes } = require('./exportar');
+const { etiquetaConsulta } = require('./consulta');
+
+const ZONA = 'America/Argentina/Buenos_Aires';
+
+const pesos = new Intl.NumberFormat('es-AR', { style: 'currency', currency: 'ARS' });
+
+const fechaHora = iso => iso
+  ? new Date(iso).toLocaleString('es-AR', {
+    timeZone: ZONA, day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  })
+  : '';
+
+// What was looked up: 'Dominio AB123CD', or the DNI / CUIT of a person lookup.
+const consultado = doc => doc.dominio ? `Dominio ${doc.dominio}` : etiquetaConsulta(doc.consulta.valor);
+
+// 'YYYY-MM-DD' → 'DD/MM/YYYY'; anything else (fechaOriginal) as is.
+const fecha = f => /^\d{4}-\d{2}-\d{2}$/.test(f || '') ? f.split('-').reverse().join('/') : (f || '');
+
+const ESTADOS = {
+  pendiente:       'Pendiente',
+  pagada:          'Pagada',
+  en_plan_de_pago: 'En plan de pago',
+  en_apremio:      'En apremio',
+  en_juzgado:      'En juzgado',
+  prescripta:      'Prescripta',
+  anulada:         'Anulada',
+};
+
+// Owed amounts grouped by jurisdiction (falling back to the portal name), as
+// [{ jurisdiccion, cantidad, importeCentavos, sinImporte }] sorted by amount.
+// `sinImporte` counts owed infractions the portal listed without an amount.
+function deudaPorJurisdiccion(doc) {
+  const nombres = new Map(doc.fuentes.map(r => [r.fuente, r.nombre]));
+  const grupos  = new Map();
+  for (const i of doc.infracciones) {
+    if (!adeuda(i.estado)) continue;
+    const jurisdiccion = i.jurisdiccion || nombres.get(i.fuente) || i.fuente;
+    const g = grupos.get(jurisdiccion) || { jurisdiccion, cantidad: 0, importeCentavos: 0, sinImporte: 0 };
+    g.cantidad++;
+    if (i.importeCentavos === null || i.importeCentavos === undefined) g.sinImporte++;
+    else g.importeCentavos += i.importeCentavos;
+    grupos.set(jurisdiccion, g);
+  }
+  return [...grupos.values()].sort((a, b) => b.importeCentavos - a.importeCentavos);
+}
+
+// Disclaimers for the report, most specific first.
+function aclaraciones(doc) {
+  const lista = [];
+  for (const r of doc.fuentes) {
+    if (r.estado === 'error') {
+      lista.push(`${r.nombre}: no se pudo consultar (${r.error}). Este informe no permite afirmar que no haya infracciones registradas en ese portal.`);
+    } else if (r.estado === 'omitida') {
+      lista.push(`${r.nombre}: no fue consultado (${r.motivo}). Este informe no permite afirmar que no haya infracciones registradas en ese portal.`);
+    } else if (r.truncated) {
+      lista.push(`${r.nombre}: el portal tenía más páginas de las que se consultaron; el listado de esa fuente puede estar incompleto.`);
+    }
+  }
+  if (doc.fuentes.some(r => r.estado === 'ok' && r.cachedAt && r.cachedAt !== doc.consultadoEn)) {
+    lista.push('Algunos resultados provienen de una consulta anterior guardada en caché; la fecha indicada en cada fuente es la de la respuesta del portal.');
+  }
+  if (doc.resumen && doc.resumen.duplicadas) {
+    lista.push(`Infracciones informadas por más de un portal: ${doc.resumen.duplicadas}. Se cuentan una sola vez en los totales; la columna Fuente indica todos los portales que las informaron.`);
+  }
+  lista.push('Los portales que no figuran en la tabla de fuentes no fueron consultados.');
+  lista.push('Este informe reproduce lo que informaba cada portal oficial en la fecha y hora indicadas. No es un certificado de libre deuda ni reemplaza a los que emite cada organismo.');
+  return lista;
+}
+
+// ─── Layout ───────────────────────────────────────────────────────────────────
+const MARGEN = 50;
+
+function titulo(pdf, texto) {
+  pdf.moveDown(1.2).font('Helvetica-Bold').fontSize(12).fillColor('#1a202c').text(texto, MARGEN);
+  pdf.moveDown(0.4);
+}
+
+// Fixed-width table; rows grow to fit wrapped text and break across pages
+// with the header repeated.
+function tabla(pdf, columnas, filas) {
+  const ancho = pdf.page.width - 2 * MARGEN;
+  const total = columnas.reduce((s, c) => s + c.peso, 0);
+  const anchos = columnas.map(c => (c.peso / total) * ancho);
+  const PAD = 3;
+
+  const fila = (celdas, { negrita = false, fondo = null } = {}) => {
+    pdf.font(negrita ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const alto = Math.max(...celdas.map((t, n) => pdf.heightOfString(String(t), { width: anchos[n] - 2 * PAD }))) + 2 * PAD;
+    if (pdf.y + alto > pdf.page.height - MARGEN) {
+      pdf.addPage();
+      if (!negrita) fila(columnas.map(c => c.titulo), { negrita: true, fondo: '#edf2f7' });
+      pdf.font('Helvetica').fontSize(8);
+    }
+    const y = pdf.y;
+    if (fondo) pdf.rect(MARGEN, y, ancho, alto).fill(fondo);
+    pdf.fillColor('#1a202c');
+    let x = MARGEN;
+    celdas.forEach((t, n) => {
+      pdf.text(String(t), x + PAD, y + PAD, { width: anchos[n] - 2 * PAD, align: columnas[n].alinear || 'left' });
+      x += anchos[n];
+    });
+    pdf.moveTo(MARGEN, y + alto).lineTo(MARGEN + ancho, y + alto).lineWidth(0.5).strokeColor('#cbd5e0').stroke();
+    pdf.x = MARGEN;
+    pdf.y = y + alto;
+  };
+
+  fila(columnas.map(c => c.titulo), { negrita: true, fondo: '#edf2f7' });
+  for (const f of filas) fila(columnas.map(c => f[c.clave] ?? ''));
+}
+
+function pieDePagina(pdf, doc) {
+  const { start, count } = pdf.bufferedPageRange();
+  for (let n = start; n < start + count; n++) {
+    pdf.switchToPage(n);
+    const margenInferior = pdf.page.margins.bottom;
+    pdf.page.margins.bottom = 0;  // writing below the margin would add a page
+    pdf.font('Helvetica').fontSize(7).fillColor('#718096')
+      .text(`${consultado(doc)} · consultado el ${fechaHora(doc.consultadoEn)} · página ${n + 1} de ${count}`,
+        MARGEN, pdf.page.height - MARGEN / 2 - 4, { width: pdf.page.width - 2 * MARGEN, align: 'center' });
+    pdf.page.margins.bottom = margenInferior;
+  }
+}
+
+// Resolves to a Buffer.
+function aPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size:        'A4',
+      margin:      MARGEN,
+      bufferPages: true,
+      info: {
+        Title:        `Informe de infracciones — ${consultado(doc)}`,
+        Subject:      'Infracciones de tránsito informadas por los portales oficiales',
+        CreationDate: new Date(doc.consultadoEn || Date.now()),
+      },
+    });
+    const partes = [];
+    pdf.on('data', parte => partes.push(parte));
+    pdf.on('end', () => resolve(Buffer.concat(partes)));
+    pdf.on('error', reject);
+
+    pdf.font('Helvetica-Bold').fontSize(18).fillColor('#1a202c').text('Informe de infracciones de tránsito');
+    pdf.font('Helvetica').fontSize(10).fillColor('#4a5568')
+      .text(consultado(doc))
+      .text(`Consultado el ${fechaHora(doc.consultadoEn)} (hora de Argentina)`);
+
+    titulo(pdf, 'Fuentes consultadas');
+    tabla(pdf, [
+      { clave: 'nombre',    titulo: 'Portal',       peso: 3 },
+      { clave: 'consulta',  titulo: 'Estado',       peso: 2 },
+      { clave: 'resultado', titulo: 'Resultado',    peso: 2 },
+      { clave: 'fecha',     titulo: 'Fecha y hora', peso: 2 },
+    ], filasFuentes(doc).map(f => ({ ...f, fecha: fechaHora(f.fecha) })));
+
+    titulo(pdf, 'Deuda pendiente por jurisdicción');
+    const deuda = deudaPorJurisdiccion(doc);
+    if (!deuda.length) {
+      pdf.font('Helvetica').fontSize(9).text('Los portales consultados no informan deuda pendiente.');
+    } else {
+      const totalCentavos = deuda.reduce((s, g) => s + g.importeCentavos, 0);
+      tabla(pdf, [
+        { clave: 'jurisdiccion', titulo: 'Jurisdicción', peso: 4 },
+        { clave: 'cantidad',     titulo: 'Infracciones', peso: 1, alinear: 'right' },
+        { clave: 'importe',      titulo: 'Importe',      peso: 2, alinear: 'right' },
+      ], [
+        ...deuda.map(g => ({
+          ...g,
+          importe: pesos.format(g.importeCentavos / 100) + (g.sinImporte ? ` (+${g.sinImporte} sin importe)` : ''),
+        })),
+        { jurisdiccion: 'Total', cantidad: deuda.reduce((s, g) => s + g.cantidad, 0), importe: pesos.format(totalCentavos / 100) },
+      ]);
+    }
+
+    titulo(pdf, 'Infracciones');
+    const infracciones = filasInfracciones(doc);
+    if (!infracciones.length) {
+      pdf.font('Helvetica').fontSize(9).text('Los portales consultados no informan infracciones.');
+    } else {
+      tabla(pdf, [
+        { clave: 'fuente',       titulo: 'Fuente',       peso: 1.2 },
+        { clave: 'acta',         titulo: 'Acta',         peso: 1.6 },
+        { clave: 'fecha',        titulo: 'Fecha',        peso: 1.2 },
+        { clave: 'descripcion',  titulo: 'Descripción',  peso: 3.5 },
+        { clave: 'jurisdiccion', titulo: 'Jurisdicción', peso: 1.8 },
+        { clave: 'importe',      titulo: 'Importe',      peso: 1.5, alinear: 'right' },
+        { clave: 'estado',       titulo: 'Estado',       peso: 1.4 },
+      ], infracciones.map(i => ({
+        ...i,
+        fecha:   fecha(i.fecha),
+        importe: i.importe === null ? 'Sin dato' : pesos.format(i.importe),
+        estado:  ESTADOS[i.estado] || i.estado || '',
+      })));
+    }
+
+    titulo(pdf, 'Aclaraciones');
+    pdf.font('Helvetica').fontSize(8.5).fillColor('#1a202c');
+    for (const texto of aclaraciones(doc)) pdf.text(`• ${texto}`, MARGEN, pdf.y, { paragraphGap: 4 });
+
+    pieDePagina(pdf, doc);
+    pdf.end();
+  });
+}
+
+module.exports = { aPdf, deudaPorJurisdiccion, aclaraciones };
@@ -0,0 +1,60 @@
+/**
+ * Infraction record shared by every fetcher.
+ *
+ * crearInfraccion() fills in every schema field so consumers always get the
+ * same shape no matter which portal answered:
+ *
+ *   fuente            registry key of the portal that reported it
+ *   acta              ticket / case number
+ *   fecha             infraction date (ISO), fechaOriginal the portal's raw text
+ *   fechaVencimiento  first due date (ISO)
+ *   descripcion, lugar
+ *   importe           pesos (decimal), importeCentavos the same as an integer
+ *   estado            lib/estado ESTADOS, estadoOriginal the portal's raw text
+ *   jurisdiccion      province / city only, so results can be grouped by it
+ *   organismo         juzgado or issuing authority
+ *   titular           vehicle owner / offender when the portal discloses it
+ *   vencimientos      [{ fecha, importe, importeCentavos }], one per due date
+ */
+
+const { parseFecha } = require('./fecha');
+const { importes }   = require('./importe');
+
+function crearInfraccion(fuente, campos) {
+  const inf = {
+    fuente,
+    acta:             null,
+    fecha:            null,
+    fechaOriginal:    null,
+    fechaVencimiento: null,
+    descripcion:      null,
+    lugar:            null,
+    importe:          null,
+    importeCentavos:  null,
+    estado:           'pendiente',
+    estadoOriginal:   null,
+    jurisdiccion:     null,
+    organismo:        null,
+    titular:          null,
+    vencimientos:     [],
+    ...campos,
+  };
+  if (!inf.fechaVencimiento && inf.vencimientos.length) inf.fechaVencimiento = inf.vencimientos[0].fecha;
+  return inf;
+}
+
+// Builds `vencimientos` from [fecha, importe] pairs, dropping pairs that carry
+// neither a readable date nor an amount.
+function vencimientos(...pares) {
+  return pares
+    .map(([fecha, importe]) => ({ fecha: parseFecha(fecha), ...importes(importe) }))
+    .filter(v => v.fecha || v.importeCentavos !== null);
+}
+
+// Trimmed text or null, for optional string fields like titular.
+function texto(valor) {
+  const s = valor === undefined || valor === null ? '' : String(valor).replace(/\s+/g, ' ').trim();
+  return s || null;
+}
+
+module.exports = { crearInfraccion, vencimientos, texto };
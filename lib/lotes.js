@@ -0,0 +1,233 @@
+/**
+ * Batch lookups: a list of plates checked in the background.
+ *
+ * A lote is created with its plates already normalized by the caller
+ * ({ dominio, formato } or { dominio, error } for the ones that didn't parse)
+ * and an optional list of source keys. Lotes run one at a time, in creation
+ * order, with at most `concurrencia` plates in flight.
+ *
+ * `consultar(item, { fuentes, clave, alParcial })` does the work for one plate and
+ * resolves to its consolidated document. It calls alParcial(resultado) as each
+ * source settles; those per-source results are saved under `item.parciales`
+ * and handed back on the next run, so a lote resumed after a restart only
+ * repeats the sources that were still in flight (no captcha is paid twice).
+ * `clave` is the id of the API key that created the lote (lib/acceso), or
+ * null, so its captchas keep being charged to that key.
+ *
+ * Everything is kept in `archivo` (JSON, rewritten via temp file + rename like
+ * lib/cache) and reloaded on startup; reanudar() queues the unfinished ones
+ * again (the server calls it once it is listening). Lote state changes are
+ * saved right away; per-source and per-plate progress at most once every
+ * `guardarCadaMs`, so a big lote doesn't rewrite the store for every answer.
+ * A crash loses at most that much progress, which the resumed run repeats.
+ *
+ * Lote states:  'pendiente' (queued) → 'en_curso' → 'terminado' | 'cancelado'
+ * Item states:  'pendiente' → 'listo' | 'error', or 'invalido' from the start
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const CONCURRENCIA    = Number(process.env.LOTES_CONCURRENCIA) || 2;
+const GUARDAR_CADA_MS = 1000;
+
+function crearLotes({ archivo, concurrencia = CONCURRENCIA, guardarCadaMs = GUARDAR_CADA_MS, consultar }) {
+  const lotes     = new Map();
+  const esperando = new Map();  // id → [resolve] for esperar()
+  const cola      = [];
+  let activo      = false;
+  let guardado    = null;       // timer of a deferred persistir()
+
+  if (archivo) {
+    try {
+      for (const lote of JSON.parse(fs.readFileSync(archivo, 'utf8'))) lotes.set(lote.id, lote);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[lotes] No se pudo leer ${archivo}:`, err.message);
+    }
+  }
+
+  function persistir() {
+    clearTimeout(guardado);
+    guardado = null;
+    if (!archivo) return;
+    try {
+      fs.mkdirSync(path.dirname(archivo), { recursive: true });
+      const tmp = `${archivo}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify([...lotes.values()]));
+      fs.renameSync(tmp, archivo);
+    } catch (err) {
+      console.error(`[lotes] No se pudo escribir ${archivo}:`, err.message);
+    }
+  }
+
+  // Progress within a running lote: batched into one write per guardarCadaMs.
+  function persistirLuego() {
+    if (!archivo || guardado) return;
+    guardado = setTimeout(persistir, guardarCadaMs);
+    guardado.unref();
+  }
+
+  const terminado = lote => lote.estado === 'terminado' || lote.estado === 'cancelado';
+
+  function cerrar(lote, estado) {
+    lote.estado      = estado;
+    lote.terminadoEn = new Date().toISOString();
+    persistir();
+    for (const resolve of esperando.get(lote.id) || []) resolve(lote);
+    esperando.delete(lote.id);
+  }
+
+  async function procesarItem(lote, item) {
+    try {
+      item.resultado = await consultar(item, {
+        fuentes:   lote.fuentes,
+        clave:     lote.clave || null,
+        alParcial: r => { item.parciales[r.fuente] = r; persistirLuego(); },
+      });
+      item.estado = 'listo';
+    } catch (err) {
+      // consultar() reports per-source failures in its document; this is a bug.
+      console.error(`[lotes] ${lote.id}: error inesperado con ${item.dominio}:`, err.message);
+      item.estado = 'error';
+      item.error  = err.message;
+    }
+    persistirLuego();
+  }
+
+  async function correr(lote) {
+    lote.estado = 'en_curso';
+    persistir();
+    const pendientes = lote.items.filter(i => i.estado === 'pendiente');
+    let siguiente = 0;
+    const trabajador = async () => {
+      while (siguiente < pendientes.length && lote.estado === 'en_curso') {
+        await procesarItem(lote, pendientes[siguiente++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrencia, pendientes.length) }, trabajador));
+    if (lote.estado === 'en_curso') cerrar(lote, 'terminado');
+  }
+
+  async function bombear() {
+    if (activo) return;
+    activo = true;
+    while (cola.length) {
+      const lote = lotes.get(cola.shift());
+      if (lote && !terminado(lote)) await correr(lote);
+    }
+    activo = false;
+  }
+
+  function progreso(lote) {
+    const cuenta = estado => lote.items.filter(i => i.estado === estado).length;
+    return {
+      total:      lote.items.length,
+      listos:     cuenta('listo'),
+      pendientes: cuenta('pendiente'),
+      errores:    cuenta('error'),
+      invalidos:  cuenta('invalido'),
+    };
+  }
+
+  // Lote without the per-item documents, for listings.
+  function resumen(lote) {
+    const { items, ...datos } = lote;
+    return { ...datos, progreso: progreso(lote) };
+  }
+
+  return {
+    // Queues whatever the previous run left unfinished. Returns how many.
+    reanudar() {
+      const previos = [...lotes.values()].filter(l => !terminado(l) && !cola.includes(l.id))
+        .sort((a, b) => a.creadoEn.localeCompare(b.creadoEn));
+      if (!previos.length) return 0;
+      console.log(`[lotes] Reanudando ${previos.length} lote(s) pendiente(s).`);
+      cola.push(...previos.map(l => l.id));
+      setImmediate(bombear);
+      return previos.length;
+    },
+
+    // items: [{ dominio, formato } | { dominio, error }]; fuentes: [key] or null
+    // for all; clave: API key id or null.
+    crear({ items, fuentes = null, clave = null }) {
+      const lote = {
+        id:          crypto.randomUUID(),
+        estado:      'pendiente',
+        creadoEn:    new Date().toISOString(),
+        terminadoEn: null,
+        fuentes,
+        clave,
+        items: items.map(({ dominio, formato, error }) => error
+          ? { dominio, estado: 'invalido', error }
+          : { dominio, formato, estado: 'pendiente', parciales: {}, resultado: null }),
+      };
+      lotes.set(lote.id, lote);
+      persistir();
+      cola.push(lote.id);
+      setImmediate(bombear);
+      return resumen(lote);
+    },
+
+    listar() {
+      return [...lotes.values()].map(resumen);
+    },
+
+    // Full lote with finished items' documents, or null. In-flight items
+    // report the sources that already answered as `parciales`.
+    obtener(id) {
+      const lote = lotes.get(id);
+      if (!lote) return null;
+      return {
+        ...resumen(lote),
+        items: lote.items.map(({ parciales, ...item }) => item.estado === 'pendiente'
+          ? { ...item, parciales: Object.values(parciales || {}) }
+          : item),
+      };
+    },
+
+    terminado(id) {
+      const lote = lotes.get(id);
+      return !!lote && terminado(lote);
+    },
+
+    // Stops a lote after the plates already in flight; false when unknown or finished.
+    cancelar(id) {
+      const lote = lotes.get(id);
+      if (!lote || terminado(lote)) return false;
+      cerrar(lote, 'cancelado');
+      return true;
+    },
+
+    // Removes a finished lote from the store; false when unknown or still running.
+    eliminar(id) {
+      const lote = lotes.get(id);
+      if (!lote || !terminado(lote)) return false;
+      lotes.delete(id);
+      persistir();
+      return true;
+    },
+
+    // Resolves with the lote once it is terminado / cancelado.
+    esperar(id) {
+      const lote = lotes.get(id);
+      if (!lote || terminado(lote)) return Promise.resolve(lote || null);
+      return new Promise(resolve => {
+        esperando.set(id, [...(esperando.get(id) || []), resolve]);
+      });
+    },
+  };
+}
+
+// Plates from an uploaded CSV: the `dominio` / `patente` column when there is
+// a header naming one, otherwise the first column. Accepts `,` or `;`.
+function dominiosDeCsv(texto) {
+  const filas = String(texto).split(/\r?\n/).map(l => l.trim()).filter(Boolean)
+    .map(l => l.split(/[;,]/).map(c => c.trim().replace(/^"(.*)"$/, '$1')));
+  if (!filas.length) return [];
+  const col = filas[0].findIndex(c => /^(dominio|patente)s?$/i.test(c));
+  const datos = col >= 0 ? filas.slice(1) : filas;
+  return datos.map(f => f[Math.max(col, 0)]).filter(Boolean);
+}
+
+module.exports = { crearLotes, dominiosDeCsv };
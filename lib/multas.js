@@ -0,0 +1,321 @@
+/**
+ * Lookup engine: the portal registry (lib/fuentes) with the cache, circuit
+ * breaker, retries and history around it. The server, the CLI and any other
+ * program use it the same way, without Express:
+ *
+ *   const { crearMultas, crearSolver } = require('argentina-multas-backend');
+ *   const multas  = crearMultas({ captcha: crearSolver(process.env), timeoutMs: 20000 });
+ *   const doc     = await multas.consultar('AB123CD', { fuentes: ['pba', 'cordoba'] });
+ *   const porCuit = await multas.consultar('20-12345678-6', { tipo: 'cuit' });
+ *
+ * Config, all optional:
+ *   captcha     provider from lib/captcha (anything with recaptcha() and
+ *               reportarIncorrecto()); without one the captcha portals are
+ *               skipped as CAPTCHA_NO_CONFIGURADO
+ *   http        axios client shared by every fetcher; it must handle the `jar`
+ *               option (axios-cookiejar-support). Defaults to crearHttp({ timeoutMs })
+ *   timeoutMs   per-request timeout of the default client
+ *   cache       lib/cache store; a private in-memory one by default
+ *   salud       lib/salud monitor; a private one by default
+ *   historial   lib/historial store; lookups are only saved when given
+ *   reintentos  { maxCaptcha, maxRed, baseMs } for lib/reintentos
+ *
+ * crearMultas() never reads the environment; crearMultasDesdeEnv() builds the
+ * config the server and the CLI use from .env (CAPTCHA_PROVIDER and its keys,
+ * HTTP_TIMEOUT_MS, CACHE_FILE, HISTORIAL_FILE); only the server keeps history
+ * without HISTORIAL_FILE.
+ */
+
+const axios = require('axios');
+const { wrapper } = require('axios-cookiejar-support');
+const { crearCache } = require('./cache');
+const { crearMonitor } = require('./salud');
+const { crearHistorial } = require('./historial');
+const { crearSolver } = require('./captcha');
+const { adeuda } = require('./estado');
+const { fusionar } = require('./duplicados');
+const { parseConsulta, parseDominio, formatoDominio, tipoDe, describirConsulta } = require('./consulta');
+const { errorTipado, tipar } = require('./errores');
+const { conReintentos } = require('./reintentos');
+const { crearFuentes, sinProgreso, formatoNoSoportado } = require('./fuentes');
+
+const TIMEOUT_MS = 15000;
+
+// HTTP client for the fetchers.
+function crearHttp({ timeoutMs = TIMEOUT_MS } = {}) {
+  return wrapper(axios.create({
+    timeout: timeoutMs,
+    // Some gov portals bounce through multiple redirects and require cookies to stick.
+    maxRedirects: 20,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'es-AR,es;q=0.9',
+    },
+  }));
+}
+
+// Builds the consolidated all-sources document from consultarFuente() results.
+// `valor` is the normalized plate, DNI or CUIT (lib/consulta); `dominio` is
+// null for a person lookup. An acta reported by several sources is merged into
+// one record (lib/duplicados) so it counts once; `crudo` keeps every source's
+// record as reported.
+function consolidar(valor, consultadoEn, resultados, { crudo = false } = {}) {
+  const tipo = tipoDe(valor);
+  const reportadas = resultados.flatMap(r => r.infracciones.map(i => ({ ...i, fuente: r.fuente })));
+  const infracciones = crudo ? reportadas : fusionar(reportadas);
+  const deudaPendienteCentavos = infracciones
+    .filter(i => adeuda(i.estado))
+    .reduce((sum, i) => sum + (i.importeCentavos || 0), 0);
+
+  return {
+    dominio:  tipo === 'dominio' ? valor : null,
+    consulta: describirConsulta(valor),
+    consultadoEn,
+    fuentes: resultados.map(({ infracciones, ...r }) => ({ ...r, cantidad: infracciones.length })),
+    infracciones,
+    resumen: {
+      consultadas:    resultados.filter(r => r.estado !== 'omitida').length,
+      ok:             resultados.filter(r => r.estado === 'ok').length,
+      errores:        resultados.filter(r => r.estado === 'error').length,
+      omitidas:       resultados.filter(r => r.estado === 'omitida').length,
+      infracciones:   infracciones.length,
+      duplicadas:     infracciones.filter(i => i.fuentes && i.fuentes.length > 1).length,
+      truncated:      resultados.some(r => r.truncated),
+      reintentos:     resultados.reduce((sum, r) => sum + (r.reintentos ? r.reintentos.length : 0), 0),
+      deudaPendiente: deudaPendienteCentavos / 100,
+      deudaPendienteCentavos,
+    },
+  };
+}
+
+function crearMultas({
+  captcha    = null,
+  timeoutMs  = TIMEOUT_MS,
+  http       = crearHttp({ timeoutMs }),
+  cache      = crearCache(),
+  salud      = crearMonitor(),
+  historial  = null,
+  reintentos = {},
+} = {}) {
+  // Fetchers solve captchas through here so a provider failure is reported as
+  // CAPTCHA_FALLIDO rather than as a portal error.
+  async function resolverCaptcha(desafio) {
+    if (!captcha) throw errorTipado('CAPTCHA_NO_CONFIGURADO', 'No hay proveedor de captcha configurado.');
+    try {
+      return await captcha.recaptcha(desafio);
+    } catch (err) {
+      throw errorTipado('CAPTCHA_FALLIDO', `No se pudo resolver el captcha: ${err.message}`);
+    }
+  }
+
+  // Tells the provider a solved token was refused by the portal, so the solve
+  // gets refunded. Best effort: a failed report never fails the lookup.
+  async function reportarCaptcha(id) {
+    if (!id || !captcha) return;
+    try {
+      await captcha.reportarIncorrecto(id);
+      console.log(`[captcha] Token ${id} reportado como incorrecto.`);
+    } catch (err) {
+      console.warn(`[captcha] No se pudo reportar el token ${id}:`, err.message);
+    }
+  }
+
+  const fuentes       = crearFuentes({ http, resolverCaptcha, reportarCaptcha });
+  const fuentesPorKey = new Map(fuentes.map(f => [f.key, f]));
+
+  // A captcha source can't run without a captcha provider.
+  function disponible(src) {
+    return !src.captcha || captcha !== null;
+  }
+
+  // Cache-aware lookup for one source. Serves a cached result unless `refresh`
+  // is set; only successful lookups are stored, so a failure never turns into a
+  // cached "sin multas". Live lookups go through the source's circuit breaker,
+  // are retried per lib/reintentos (refused captchas are reported to the
+  // solver), report their outcome to `salud` and, when they succeed, are saved
+  // to `historial`. `cupo(src)`, when given, is asked before every live lookup
+  // and may refuse it with a typed error (a client's captcha quota, lib/acceso).
+  // Returns { infracciones, truncated, cachedAt, fresh, reintentos }; failures
+  // are thrown as typed errors (lib/errores) carrying `reintentos` too.
+  async function buscar(src, dominio, { refresh = false, fase = sinProgreso, cupo = null } = {}) {
+    if (!refresh) {
+      const hit = cache.get(src.key, dominio);
+      if (hit) return { ...hit, fresh: false, reintentos: [] };
+    }
+
+    const sinCupo = cupo && cupo(src);
+    if (sinCupo) throw sinCupo;
+
+    const permiso = salud.permitir(src.key);
+    if (!permiso.ok) {
+      throw errorTipado('CIRCUITO_ABIERTO',
+        `El portal ${src.nombre} viene fallando; se suspendieron las consultas por ${Math.ceil(permiso.reintentarEnMs / 1000)} s.`,
+        { reintentarEnMs: permiso.reintentarEnMs });
+    }
+
+    let meta;
+    const hechos = [];
+    const inicio = Date.now();
+    let infracciones;
+    try {
+      infracciones = await conReintentos(() => {
+        meta = { truncated: false };
+        return src.fetch(dominio, fase, meta);
+      }, {
+        ...reintentos,
+        reintentos: hechos,
+        alRechazarCaptcha: err => reportarCaptcha(err.captchaId),
+        alReintentar: r => {
+          console.warn(`[${src.key}] Reintento ${r.intento} para ${dominio} (${r.codigo}${r.esperaMs ? `, en ${r.esperaMs} ms` : ''}): ${r.error}`);
+          salud.reintento(src.key, r.motivo);
+          fase('reintento');
+        },
+      });
+    } catch (err) {
+      salud.fallo(src.key, tipar(err), Date.now() - inicio);
+      throw err;
+    }
+    salud.exito(src.key, Date.now() - inicio);
+    const cachedAt = cache.put(src.key, dominio, { infracciones, truncated: meta.truncated }, src.ttl);
+    if (historial && tipoDe(dominio) === 'dominio') {  // the history is per vehicle
+      try {
+        historial.guardar({ dominio, fuente: src.key, consultadoEn: cachedAt, infracciones, truncated: meta.truncated });
+      } catch (err) {
+        console.error(`[historial] No se pudo guardar ${src.key}/${dominio}:`, err.message);
+      }
+    }
+    return { infracciones, truncated: meta.truncated, cachedAt, fresh: true, reintentos: hechos };
+  }
+
+  // Why a source can't take this lookup right now, as a typed error, or null.
+  // `formato` is the plate format, or null for a person lookup of type `tipo`.
+  function verificarFuente(src, formato, tipo = 'dominio') {
+    if (!src.consultas.includes(tipo)) {
+      return errorTipado('CONSULTA_NO_SOPORTADA', `El portal ${src.nombre} no permite consultar por ${tipo.toUpperCase()}.`);
+    }
+    const sinFormato = tipo === 'dominio' && formatoNoSoportado(src, formato);
+    if (sinFormato) return sinFormato;
+    if (!disponible(src)) {
+      return errorTipado('CAPTCHA_NO_CONFIGURADO', `El portal ${src.nombre} requiere captcha y no hay proveedor configurado.`);
+    }
+    return null;
+  }
+
+  // Runs one registry entry against a plate (or a DNI / CUIT, with a null
+  // formato) and reports the outcome without throwing. Lookups the portal
+  // can't take are skipped up front so we never pay for a captcha we know will
+  // be refused. `fase` receives the fetcher's phases followed by a final
+  // 'listo' | 'error' | 'omitida'.
+  async function consultarFuente(src, dominio, formato, { refresh = false, fase = sinProgreso, cupo = null } = {}) {
+    const base = { fuente: src.key, nombre: src.nombre };
+    const impedimento = verificarFuente(src, formato, tipoDe(dominio));
+    if (impedimento) {
+      const r = { ...base, estado: 'omitida', codigo: impedimento.codigo, motivo: impedimento.message, infracciones: [], duracionMs: 0 };
+      fase('omitida', r);
+      return r;
+    }
+
+    const inicio = Date.now();
+    try {
+      const { infracciones, truncated, cachedAt, fresh, reintentos } = await buscar(src, dominio, { refresh, fase, cupo });
+      const r = { ...base, estado: 'ok', infracciones, truncated, cachedAt, fresh, reintentos, duracionMs: Date.now() - inicio };
+      fase('listo', r);
+      return r;
+    } catch (err) {
+      tipar(err);
+      console.error(`[${src.key}] Error para ${dominio} (${err.codigo}):`, err.message);
+      const r = {
+        ...base, estado: 'error', error: err.message, codigo: err.codigo, reintentable: err.reintentable,
+        reintentos: err.reintentos || [], infracciones: [], duracionMs: Date.now() - inicio,
+      };
+      fase('error', r);
+      return r;
+    }
+  }
+
+  // Resolves a source filter: null for all, 'ansv,pba' or an array of keys.
+  // Returns { fuentes } or { error } (typed).
+  function parseFuentes(param) {
+    if (!param) return { fuentes };
+    const keys = [].concat(param).join(',').split(',').map(k => k.trim()).filter(Boolean);
+    const desconocidas = keys.filter(k => !fuentesPorKey.has(k));
+    if (desconocidas.length) return { error: errorTipado('FUENTE_DESCONOCIDA', `Fuente desconocida: ${desconocidas.join(', ')}. Consultar GET /fuentes para la lista disponible.`) };
+    return { fuentes: [...new Set(keys)].map(k => fuentesPorKey.get(k)) };
+  }
+
+  return {
+    fuentes,
+    fuentesPorKey,
+    captcha,
+    http,
+    cache,
+    salud,
+    historial,
+    disponible,
+    verificarFuente,
+    buscar,
+    consultarFuente,
+    parseFuentes,
+
+    // Every source (or the `fuentes` subset) in parallel, as the consolidated
+    // document of GET /multas/todas. `fase(fuente, fase, resultado?)` reports
+    // progress; `crudo` skips merging duplicates across sources; `tipo`
+    // ('dominio', 'dni' or 'cuit') says what `valor` is; `cupo` as in
+    // buscar(). Throws typed DOMINIO_INVALIDO / DOCUMENTO_INVALIDO /
+    // FUENTE_DESCONOCIDA; portal failures are reported per source instead.
+    async consultar(valor, { tipo = 'dominio', fuentes: filtro = null, refresh = false, crudo = false, fase = sinProgreso, cupo = null } = {}) {
+      const { clean, formato, error } = parseConsulta(tipo, valor);
+      if (error) throw error;
+      const seleccion = parseFuentes(filtro);
+      if (seleccion.error) throw seleccion.error;
+
+      const consultadoEn = new Date().toISOString();
+      const resultados = await Promise.all(seleccion.fuentes.map(src =>
+        consultarFuente(src, clean, formato, { refresh, cupo, fase: (f, r) => fase(src.key, f, r) })));
+      return consolidar(clean, consultadoEn, resultados, { crudo });
+    },
+
+    // One source, as GET /multas: { dominio, consulta, fuente, infracciones,
+    // truncated, cachedAt, fresh, reintentos }. Everything that stops it is
+    // thrown typed.
+    async consultarUna(fuente, valor, { tipo = 'dominio', refresh = false, fase = sinProgreso, cupo = null } = {}) {
+      const consulta = parseConsulta(tipo, valor);
+      if (consulta.error) throw consulta.error;
+      const { clean, formato } = consulta;
+      const src = fuentesPorKey.get(fuente);
+      if (!src) throw errorTipado('FUENTE_DESCONOCIDA', `Fuente desconocida: ${fuente}. Consultar GET /fuentes para la lista disponible.`);
+      const impedimento = verificarFuente(src, formato, consulta.tipo);
+      if (impedimento) throw impedimento;
+      return {
+        dominio:  consulta.tipo === 'dominio' ? clean : null,
+        consulta: describirConsulta(clean),
+        fuente,
+        ...await buscar(src, clean, { refresh, fase, cupo }),
+      };
+    },
+  };
+}
+
+// One-off lookup: crearMultas(opciones).consultar(dominio, opciones). Each call
+// gets its own cache and circuit breakers; create the engine once to share them.
+function consultar(dominio, opciones = {}) {
+  return crearMultas(opciones).consultar(dominio, opciones);
+}
+
+// Engine configured from the environment. Lookups are kept in memory unless
+// CACHE_FILE is set; history goes to HISTORIAL_FILE, else to
+// `historialPorDefecto` (the caller's own path), else nowhere. Nothing is
+// written inside the package: installed globally, that is node_modules or the
+// npm prefix.
+function crearMultasDesdeEnv(env = process.env, { historialPorDefecto = null } = {}) {
+  const archivoHistorial = env.HISTORIAL_FILE || historialPorDefecto;
+  return crearMultas({
+    captcha:   crearSolver(env),
+    timeoutMs: Number(env.HTTP_TIMEOUT_MS) || undefined,
+    cache:     crearCache({ archivo: env.CACHE_FILE }),
+    historial: archivoHistorial ? crearHistorial({ archivo: archivoHistorial }) : undefined,
+  });
+}
+
+module.exports = { crearMultas, crearMultasDesdeEnv, consultar, crearHttp, consolidar, parseConsulta, parseDominio, formatoDominio };
@@ -0,0 +1,67 @@
+/**
+ * Pagination loop for portals that split results across pages.
+ *
+ * obtenerPagina(n) fetches page n (1-based) and resolves to { items, body },
+ * where `body` is the raw reply used to look for paging markers. Paging stops
+ * when:
+ *   - the reply says it was the last page (last_page / totalPaginas / total /
+ *     next_page_url, see hayMasPaginas),
+ *   - without markers, a page comes back short of `porPagina`,
+ *   - a page comes back empty or only repeating items already seen (portals
+ *     that ignore the page parameter),
+ *   - `maxPaginas` is reached, or a page after the first fails. Both of these
+ *     keep what was collected and set `truncated`.
+ */
+
+const MAX_PAGINAS = Number(process.env.MAX_PAGINAS) || 20;
+
+const primero = (obj, claves) => {
+  for (const k of claves) if (obj[k] !== undefined && obj[k] !== null) return obj[k];
+  return undefined;
+};
+
+// true / false when the reply says so, undefined when it carries no markers.
+function hayMasPaginas(body, pagina, acumuladas) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return undefined;
+  const ultima = primero(body, ['last_page', 'ultima_pagina', 'totalPaginas', 'totalPages', 'cantPaginas']);
+  if (ultima !== undefined) return pagina < Number(ultima);
+  if ('next_page_url' in body) return !!body.next_page_url;
+  const total = primero(body, ['total', 'totalRegistros', 'cantidadTotal', 'totalElements']);
+  if (total !== undefined) return acumuladas < Number(total);
+  return undefined;
+}
+
+async function paginar(obtenerPagina, { porPagina, maxPaginas = MAX_PAGINAS, etiqueta = '' } = {}) {
+  const items  = [];
+  const vistos = new Set();
+
+  for (let pagina = 1; pagina <= maxPaginas; pagina++) {
+    let res;
+    try {
+      res = await obtenerPagina(pagina);
+    } catch (err) {
+      if (pagina === 1) throw err;
+      console.error(`[${etiqueta}] Falló la página ${pagina}; se devuelven las ${pagina - 1} anteriores:`, err.message);
+      return { items, truncated: true };
+    }
+
+    const nuevos = (res.items || []).filter(i => {
+      const k = JSON.stringify(i);
+      if (vistos.has(k)) return false;
+      vistos.add(k);
+      return true;
+    });
+    items.push(...nuevos);
+
+    const mas = hayMasPaginas(res.body, pagina, items.length);
+    if (mas === false) return { items, truncated: false };
+    // Nothing new on this page: done, unless the portal claims there's more.
+    if (nuevos.length === 0) return { items, truncated: mas === true };
+    if (mas === undefined && porPagina && (res.items || []).length < porPagina) return { items, truncated: false };
+  }
+
+  console.warn(`[${etiqueta}] Se alcanzó el límite de ${maxPaginas} páginas; el listado puede estar incompleto.`);
+  return { items, truncated: true };
+}
+
+module.exports = { paginar, hayMasPaginas, MAX_PAGINAS };
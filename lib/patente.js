@@ -0,0 +1,54 @@
+/**
+ * Argentine plate formats.
+ *
+ *   formato        ejemplo   vehiculo
+ *   viejo          ABC123    auto   1995–2016
+ *   mercosur       AB123CD   auto   since 2016
+ *   moto_viejo     123ABC    moto   1995–2016
+ *   moto_mercosur  A123BCD   moto   since 2016
+ *   provincial     B123456   null   before 1995: province letter and up to 7
+ *                                   digits; the plate doesn't tell the vehicle
+ *
+ * Plates are compared without spaces, dots or dashes ("B 1.234.567").
+ * Registry entries list the formats their portal accepts (`formatos` in
+ * lib/fuentes), and a plate is only sent to the sources that take its format.
+ */
+
+const FORMATOS = {
+  viejo:         { patron: /^[A-Z]{3}\d{3}$/,         vehiculo: 'auto', descripcion: 'auto, formato anterior (ABC123)' },
+  mercosur:      { patron: /^[A-Z]{2}\d{3}[A-Z]{2}$/, vehiculo: 'auto', descripcion: 'auto, formato Mercosur (AB123CD)' },
+  moto_viejo:    { patron: /^\d{3}[A-Z]{3}$/,         vehiculo: 'moto', descripcion: 'moto, formato anterior (123ABC)' },
+  moto_mercosur: { patron: /^[A-Z]\d{3}[A-Z]{3}$/,    vehiculo: 'moto', descripcion: 'moto, formato Mercosur (A123BCD)' },
+  provincial:    { patron: /^[A-HJ-NP-Z]\d{1,7}$/,    vehiculo: null,   descripcion: 'provincial anterior a 1995 (B123456)' },
+};
+
+// Province letters of the pre-1995 plates.
+const PROVINCIAS = {
+  A: 'Salta', B: 'Buenos Aires', C: 'Capital Federal', D: 'San Luis', E: 'Entre Ríos', F: 'La Rioja',
+  G: 'Santiago del Estero', H: 'Chaco', J: 'San Juan', K: 'Catamarca', L: 'La Pampa', M: 'Mendoza',
+  N: 'Misiones', P: 'Formosa', Q: 'Neuquén', R: 'Río Negro', S: 'Santa Fe', T: 'Tucumán', U: 'Chubut',
+  V: 'Tierra del Fuego', W: 'Corrientes', X: 'Córdoba', Y: 'Jujuy', Z: 'Santa Cruz',
+};
+
+const limpiarPatente = dominio => String(dominio).replace(/[\s.\-]/g, '').toUpperCase();
+
+// Format key of a clean plate, or null.
+function formatoPatente(dominio) {
+  return Object.keys(FORMATOS).find(f => FORMATOS[f].patron.test(dominio)) || null;
+}
+
+// { formato, vehiculo[, provincia] } of a clean plate, or null.
+function describirPatente(dominio) {
+  const formato = formatoPatente(dominio);
+  if (!formato) return null;
+  const descripcion = { formato, vehiculo: FORMATOS[formato].vehiculo };
+  if (formato === 'provincial') descripcion.provincia = PROVINCIAS[dominio[0]];
+  return descripcion;
+}
+
+// 'moto, formato Mercosur (A123BCD)' for messages.
+function describirFormato(formato) {
+  return FORMATOS[formato] ? FORMATOS[formato].descripcion : formato;
+}
+
+module.exports = { FORMATOS, PROVINCIAS, limpiarPatente, formatoPatente, describirPatente, describirFormato };
@@ -0,0 +1,85 @@
+/**
+ * Retry policy for lookups.
+ *
+ * conReintentos() runs a whole lookup attempt again when the failure is one a
+ * new attempt can fix:
+ *   - CAPTCHA_RECHAZADO: the portal refused the solved token. alRechazarCaptcha
+ *     reports it to the solver service (refund) and the next attempt starts
+ *     over with a fresh session and token, without waiting. Every refused
+ *     token is reported, the last one included once retries run out.
+ *   - network errors, timeouts and HTTP 5xx: exponential backoff
+ *     (baseMs, 2·baseMs, 4·baseMs… capped at 30 s, ±20% jitter).
+ * Other failures are thrown right away.
+ *
+ * Every retry is appended to `reintentos` as { intento, motivo, codigo, error, esperaMs }
+ * so callers can return it with the result. The final error carries it too.
+ */
+
+const { tipar } = require('./errores');
+
+const REINTENTOS_CAPTCHA = envEntero('REINTENTOS_CAPTCHA', 2);
+const REINTENTOS_RED     = envEntero('REINTENTOS_RED', 2);
+const BACKOFF_BASE_MS    = envEntero('REINTENTOS_BACKOFF_MS', 1000);
+const BACKOFF_MAX_MS     = 30000;
+
+// Like `Number(x) || def`, but 0 is a valid setting (disables that retry).
+function envEntero(nombre, porDefecto) {
+  const n = parseInt(process.env[nombre], 10);
+  return Number.isInteger(n) && n >= 0 ? n : porDefecto;
+}
+
+// 'captcha' | 'red' | null
+function motivoReintento(err) {
+  if (err.codigo === 'CAPTCHA_RECHAZADO') return 'captcha';
+  if (err.codigo === 'TIMEOUT' || err.codigo === 'PORTAL_NO_DISPONIBLE') return 'red';
+  if (err.response && err.response.status >= 500) return 'red';
+  return null;
+}
+
+function backoff(n, baseMs, maxMs = BACKOFF_MAX_MS, azar = Math.random) {
+  const ms = Math.min(baseMs * 2 ** (n - 1), maxMs);
+  return Math.round(ms * (0.8 + 0.4 * azar()));
+}
+
+const dormir = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function conReintentos(intentar, {
+  maxCaptcha        = REINTENTOS_CAPTCHA,
+  maxRed            = REINTENTOS_RED,
+  baseMs            = BACKOFF_BASE_MS,
+  reintentos        = [],
+  alRechazarCaptcha = async () => {},
+  alReintentar      = () => {},
+  esperar           = dormir,
+} = {}) {
+  let captcha = 0;
+  let red     = 0;
+
+  for (let intento = 1; ; intento++) {
+    try {
+      return await intentar(intento);
+    } catch (err) {
+      tipar(err);
+      const motivo = motivoReintento(err);
+      let esperaMs = 0;
+
+      if (motivo === 'captcha') await alRechazarCaptcha(err);
+
+      if (motivo === 'captcha' && captcha < maxCaptcha) {
+        captcha++;
+      } else if (motivo === 'red' && red < maxRed) {
+        esperaMs = backoff(++red, baseMs);
+      } else {
+        err.reintentos = reintentos;
+        throw err;
+      }
+
+      const registro = { intento, motivo, codigo: err.codigo, error: err.message, esperaMs };
+      reintentos.push(registro);
+      alReintentar(registro);
+      if (esperaMs) await esperar(esperaMs);
+    }
+  }
+}
+
+module.exports = { conReintentos, motivoReintento, backoff };
@@ -0,0 +1,138 @@
+/**
+ * Per-source health: outcome stats and a circuit breaker.
+ *
+ * Every live lookup reports its outcome here (cache hits don't, they say
+ * nothing about the portal). GET /health serves estado() for each source.
+ *
+ * Circuit breaker: after `umbral` consecutive failures the circuit opens and
+ * lookups fail fast for `enfriamientoMs` instead of piling up on a dead portal
+ * (and paying for captchas it will refuse). Once the cool-down is over a single
+ * probe is let through ('semiabierto'): success closes the circuit, failure
+ * opens it again. Lookups arriving while the probe is out are told to wait
+ * `esperaSondeoMs` (about what a lookup with captcha and retries may take);
+ * a probe that never reports back is given up after that long.
+ *
+ * Only failures that say the portal itself is in trouble count towards the
+ * breaker (CAIDAS: timeouts, network errors, 5xx / maintenance pages and
+ * drift, plus untyped errors). Bad input (DOMINIO_INVALIDO, DOCUMENTO_INVALIDO),
+ * answers like DOMINIO_NO_ENCONTRADO and captcha trouble are the client's or
+ * the solver's doing: they show up in the stats but never open the circuit,
+ * so a client sending bad plates can't take a healthy portal offline.
+ *
+ * Drift errors (FORMATO_CAMBIADO, lib/deriva) count as failures and are
+ * tallied apart as `anomalias`, since they mean the fetcher needs fixing rather
+ * than that the portal is down.
+ *
+ * Retries don't count as outcomes (the lookup reports once, when it settles);
+ * they are tallied by motivo under `reintentos`.
+ */
+
+const UMBRAL_CIRCUITO = Number(process.env.CIRCUITO_UMBRAL) || 5;
+const ENFRIAMIENTO_MS = Number(process.env.CIRCUITO_ENFRIAMIENTO_MS) || 5 * 60 * 1000;
+const ESPERA_SONDEO_MS = 60 * 1000;
+const VENTANA         = 20;  // recent outcomes used for tasaError / latencia
+
+const CAIDAS = new Set(['TIMEOUT', 'PORTAL_NO_DISPONIBLE', 'PORTAL_ERROR', 'PORTAL_MANTENIMIENTO', 'FORMATO_CAMBIADO']);
+
+function crearMonitor({ umbral = UMBRAL_CIRCUITO, enfriamientoMs = ENFRIAMIENTO_MS, esperaSondeoMs = ESPERA_SONDEO_MS, ahora = Date.now } = {}) {
+  const fuentes = new Map();
+
+  function de(fuente) {
+    if (!fuentes.has(fuente)) {
+      fuentes.set(fuente, {
+        consultas:      0,
+        errores:        0,
+        anomalias:      0,
+        reintentos:     { captcha: 0, red: 0 },
+        recientes:      [],       // [{ ok, ms }], newest last
+        ultimoExito:    null,
+        ultimoError:    null,     // { fecha, mensaje, codigo }
+        fallosSeguidos: 0,
+        abiertoHasta:   null,
+        sondeando:      false,
+        sondeoHasta:    null,     // when an unanswered probe is given up
+      });
+    }
+    return fuentes.get(fuente);
+  }
+
+  function anotar(s, ok, ms) {
+    s.consultas++;
+    s.recientes.push({ ok, ms });
+    if (s.recientes.length > VENTANA) s.recientes.shift();
+  }
+
+  function circuito(s) {
+    if (s.abiertoHasta === null) return 'cerrado';
+    return ahora() < s.abiertoHasta ? 'abierto' : 'semiabierto';
+  }
+
+  return {
+    // Whether a live lookup may go out now. Returns { ok: true } or
+    // { ok: false, reintentarEnMs } while the circuit is open.
+    permitir(fuente) {
+      const s = de(fuente);
+      const c = circuito(s);
+      if (c === 'cerrado') return { ok: true };
+      if (c === 'semiabierto' && (!s.sondeando || ahora() >= s.sondeoHasta)) {
+        s.sondeando   = true;
+        s.sondeoHasta = ahora() + esperaSondeoMs;
+        return { ok: true };
+      }
+      const hasta = c === 'semiabierto' ? s.sondeoHasta : s.abiertoHasta;
+      return { ok: false, reintentarEnMs: Math.max(1000, hasta - ahora()) };
+    },
+
+    exito(fuente, ms) {
+      const s = de(fuente);
+      anotar(s, true, ms);
+      s.ultimoExito    = new Date(ahora()).toISOString();
+      s.fallosSeguidos = 0;
+      s.abiertoHasta   = null;
+      s.sondeando      = false;
+    },
+
+    // A lookup attempt is being retried (lib/reintentos); motivo is 'captcha' | 'red'.
+    reintento(fuente, motivo) {
+      de(fuente).reintentos[motivo]++;
+    },
+
+    fallo(fuente, err, ms) {
+      const s = de(fuente);
+      anotar(s, false, ms);
+      s.errores++;
+      const codigo = (err && err.codigo) || null;
+      if (codigo === 'FORMATO_CAMBIADO') s.anomalias++;
+      s.ultimoError = { fecha: new Date(ahora()).toISOString(), mensaje: err ? err.message : null, codigo };
+      if (codigo && !CAIDAS.has(codigo)) {
+        s.sondeando = false;  // a probe that proved nothing: the next lookup probes again
+        return;
+      }
+      s.fallosSeguidos++;
+      // A failed probe reopens right away; otherwise wait for the threshold.
+      if (s.sondeando || s.fallosSeguidos >= umbral) s.abiertoHasta = ahora() + enfriamientoMs;
+      s.sondeando = false;
+    },
+
+    estado(fuente) {
+      const s = de(fuente);
+      const oks = s.recientes.filter(r => r.ok);
+      const c   = circuito(s);
+      return {
+        circuito:       c,
+        reintentarEnMs: c === 'abierto' ? s.abiertoHasta - ahora() : null,
+        consultas:      s.consultas,
+        errores:        s.errores,
+        anomalias:      s.anomalias,
+        reintentos:     { ...s.reintentos },
+        tasaError:      s.recientes.length ? (s.recientes.length - oks.length) / s.recientes.length : null,
+        latenciaMs:     oks.length ? Math.round(oks.reduce((sum, r) => sum + r.ms, 0) / oks.length) : null,
+        fallosSeguidos: s.fallosSeguidos,
+        ultimoExito:    s.ultimoExito,
+        ultimoError:    s.ultimoError,
+      };
+    },
+  };
+}
+
+module.exports = { crearMonitor };
@@ -0,0 +1,262 @@
+/**
+ * Watchlist: plates re-checked on a schedule, with change events.
+ *
+ * Each entry has its own sources (null = all) and interval, and remembers the
+ * API key that added it (`clave`, lib/acceso) so its re-checks are charged to
+ * that key's captcha quota. revisar() runs the entries that are due, one at a
+ * time, through `consultar(entrada)`, which resolves to the consolidated
+ * document of /multas/todas. The scheduler started by iniciar() just calls
+ * revisar() every `tickMs`.
+ *
+ * Results are compared per source against the previous snapshot, keyed by
+ * `acta`, and produce events:
+ *   nueva          an acta that wasn't there before
+ *   cambio_estado  same acta, different `estado` (pendiente → pagada, …)
+ *   desaparecida   an acta that is no longer listed
+ * Only sources that answered 'ok' are compared, so a portal that is down never
+ * looks like every fine vanished; their old snapshot is kept. The first
+ * successful answer from a source is the baseline and emits nothing. Records
+ * without an acta can't be followed and are left out of the comparison.
+ * A `truncated` listing (pagination cut short) says nothing about the actas
+ * past the cut: it emits no desaparecida and is merged into the snapshot
+ * instead of replacing it. `consultar` is expected to bypass the cache, or a
+ * check would just compare the previous answer with itself.
+ *
+ * Events go to `notificar(evento)` (lib/webhooks), whose delivery log is kept
+ * on the event as `entregas`. The last `maxEventos` events are kept.
+ * Everything persists to `archivo` like lib/lotes.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const TICK_MS     = Number(process.env.VIGILANCIA_TICK_MS) || 60 * 1000;
+const MAX_EVENTOS = 500;
+
+// Changes between two listings of one source, as [{ tipo, acta, anterior, actual }].
+// With `parcial` (a truncated listing) missing actas aren't reported as gone.
+function compararInfracciones(anteriores, actuales, { parcial = false } = {}) {
+  const porActa = lista => new Map(lista.filter(i => i.acta).map(i => [i.acta, i]));
+  const antes   = porActa(anteriores);
+  const ahora   = porActa(actuales);
+  const cambios = [];
+
+  for (const [acta, actual] of ahora) {
+    const anterior = antes.get(acta);
+    if (!anterior) cambios.push({ tipo: 'nueva', acta, anterior: null, actual });
+    else if (anterior.estado !== actual.estado) cambios.push({ tipo: 'cambio_estado', acta, anterior, actual });
+  }
+  for (const [acta, anterior] of antes) {
+    if (!parcial && !ahora.has(acta)) cambios.push({ tipo: 'desaparecida', acta, anterior, actual: null });
+  }
+  return cambios;
+}
+
+function crearVigilancia({
+  archivo,
+  consultar,
+  notificar  = async () => [],
+  tickMs     = TICK_MS,
+  maxEventos = MAX_EVENTOS,
+  ahora      = Date.now,
+}) {
+  let entradas = [];
+  let eventos  = [];
+  let revisando = null;
+  let timer     = null;
+
+  if (archivo) {
+    try {
+      ({ entradas, eventos } = JSON.parse(fs.readFileSync(archivo, 'utf8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[vigilancia] No se pudo leer ${archivo}:`, err.message);
+    }
+  }
+
+  function persistir() {
+    if (!archivo) return;
+    try {
+      fs.mkdirSync(path.dirname(archivo), { recursive: true });
+      const tmp = `${archivo}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ entradas, eventos }));
+      fs.renameSync(tmp, archivo);
+    } catch (err) {
+      console.error(`[vigilancia] No se pudo escribir ${archivo}:`, err.message);
+    }
+  }
+
+  const iso = ms => new Date(ms).toISOString();
+
+  // Entry without its snapshot, for listings.
+  function resumen({ snapshot, ...entrada }) {
+    return { ...entrada, infracciones: Object.values(snapshot).reduce((n, lista) => n + lista.length, 0) };
+  }
+
+  function emitir(entrada, cambio, fuente) {
+    const evento = {
+      id:             crypto.randomUUID(),
+      tipo:           cambio.tipo,
+      fecha:          iso(ahora()),
+      vigilanciaId:   entrada.id,
+      clave:          entrada.clave || null,
+      dominio:        entrada.dominio,
+      fuente,
+      acta:           cambio.acta,
+      estadoAnterior: cambio.anterior ? cambio.anterior.estado : null,
+      estado:         cambio.actual ? cambio.actual.estado : null,
+      infraccion:     cambio.actual || cambio.anterior,
+      entregas:       [],
+    };
+    eventos.push(evento);
+    if (eventos.length > maxEventos) eventos = eventos.slice(-maxEventos);
+    console.log(`[vigilancia] ${entrada.dominio}: ${evento.tipo} ${evento.acta} (${fuente}).`);
+
+    const { entregas, clave, ...payload } = evento;
+    notificar(payload)
+      .then(entregas => { evento.entregas = entregas; persistir(); })
+      .catch(err => console.error(`[vigilancia] Error al notificar ${evento.id}:`, err.message));
+    return evento;
+  }
+
+  async function revisarEntrada(entrada) {
+    const inicio = ahora();
+    let doc;
+    try {
+      doc = await consultar(entrada);
+    } catch (err) {
+      entrada.ultimoError = err.message;
+      return [];
+    } finally {
+      entrada.ultimaConsulta  = iso(inicio);
+      entrada.proximaConsulta = iso(inicio + entrada.intervaloMinutos * 60 * 1000);
+    }
+
+    const nuevos = [];
+    for (const r of doc.fuentes) {
+      if (r.estado !== 'ok') continue;
+      const actuales = doc.infracciones.filter(i => i.fuente === r.fuente);
+      const previas  = entrada.snapshot[r.fuente];
+      if (previas) {
+        for (const cambio of compararInfracciones(previas, actuales, { parcial: r.truncated })) nuevos.push(emitir(entrada, cambio, r.fuente));
+      }
+      if (r.truncated && previas) {
+        const vistas = new Set(actuales.map(i => i.acta).filter(Boolean));
+        entrada.snapshot[r.fuente] = [...actuales, ...previas.filter(i => i.acta && !vistas.has(i.acta))];
+      } else {
+        entrada.snapshot[r.fuente] = actuales;
+      }
+    }
+    const fallidas = doc.fuentes.filter(r => r.estado === 'error');
+    entrada.ultimoError = fallidas.length ? fallidas.map(r => `${r.fuente}: ${r.error}`).join('; ') : null;
+    return nuevos;
+  }
+
+  const buscar = id => entradas.find(e => e.id === id) || null;
+
+  // Checks the due entries, or just `id` whether due or not. Runs never
+  // overlap: a scheduled check joins the one in progress, a forced one waits
+  // for it. Resolves to the events emitted.
+  function revisar(id) {
+    if (revisando) return id ? revisando.then(() => revisar(id)) : revisando;
+    revisando = (async () => {
+      const emitidos = [];
+      const pendientes = id
+        ? entradas.filter(e => e.id === id)
+        : entradas.filter(e => Date.parse(e.proximaConsulta) <= ahora());
+      for (const entrada of pendientes) {
+        emitidos.push(...await revisarEntrada(entrada));
+        persistir();
+      }
+      return emitidos;
+    })().finally(() => { revisando = null; });
+    return revisando;
+  }
+
+  return {
+    // { dominio, formato, fuentes, intervaloMinutos, clave }, already validated by the caller.
+    agregar({ dominio, formato, fuentes = null, intervaloMinutos, clave = null }) {
+      const entrada = {
+        id:              crypto.randomUUID(),
+        dominio,
+        formato,
+        fuentes,
+        intervaloMinutos,
+        clave,
+        creadoEn:        iso(ahora()),
+        ultimaConsulta:  null,
+        proximaConsulta: iso(ahora()),
+        ultimoError:     null,
+        snapshot:        {},  // fuente → last listing from that source
+      };
+      entradas.push(entrada);
+      persistir();
+      return resumen(entrada);
+    },
+
+    listar() {
+      return entradas.map(resumen);
+    },
+
+    // `clave` narrows it to one API key's entries (undefined: any).
+    porDominio(dominio, { clave } = {}) {
+      const e = entradas.find(e => e.dominio === dominio && (clave === undefined || e.clave === clave));
+      return e ? resumen(e) : null;
+    },
+
+    // Entry with its last known infractions per source, or null.
+    obtener(id) {
+      const e = buscar(id);
+      return e ? { ...resumen(e), snapshot: e.snapshot } : null;
+    },
+
+    // Changes sources / interval. Sources no longer watched drop their snapshot.
+    actualizar(id, { fuentes, intervaloMinutos }) {
+      const e = buscar(id);
+      if (!e) return null;
+      if (fuentes !== undefined) {
+        e.fuentes = fuentes;
+        if (fuentes) for (const key of Object.keys(e.snapshot)) if (!fuentes.includes(key)) delete e.snapshot[key];
+      }
+      if (intervaloMinutos !== undefined) {
+        e.intervaloMinutos = intervaloMinutos;
+        const base = e.ultimaConsulta ? Date.parse(e.ultimaConsulta) : ahora();
+        e.proximaConsulta = iso(base + intervaloMinutos * 60 * 1000);
+      }
+      persistir();
+      return resumen(e);
+    },
+
+    eliminar(id) {
+      const antes = entradas.length;
+      entradas = entradas.filter(e => e.id !== id);
+      if (entradas.length === antes) return false;
+      persistir();
+      return true;
+    },
+
+    // Newest first, optionally for one plate and / or one API key's entries.
+    eventos({ dominio, clave, limite = 100 } = {}) {
+      return eventos
+        .filter(e => (!dominio || e.dominio === dominio) && (clave === undefined || e.clave === clave))
+        .slice(-limite).reverse();
+    },
+
+    revisar,
+
+    iniciar() {
+      if (timer) return;
+      timer = setInterval(() => {
+        revisar().catch(err => console.error('[vigilancia] Error en la revisión:', err.message));
+      }, tickMs);
+      timer.unref();
+    },
+
+    detener() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { crearVigilancia, compararInfracciones };
@@ -0,0 +1,80 @@
+/**
+ * Webhook delivery for watchlist events (lib/vigilancia).
+ *
+ * Every event is POSTed as JSON to each configured URL. With a secret the body
+ * is signed like GitHub does: `X-Multas-Firma: sha256=<hex HMAC-SHA256 of the
+ * raw body>`, so receivers can check it came from us. Failed deliveries
+ * (network error or non-2xx) are retried with the backoff from lib/reintentos.
+ *
+ * entregar() resolves, never rejects, with one log entry per URL:
+ *   { url, ok, intentos: [ { fecha, status, error } ] }
+ * which the caller keeps next to the event as its delivery history.
+ */
+
+const crypto = require('crypto');
+const axios  = require('axios');
+const { backoff } = require('./reintentos');
+
+const dormir = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function firmar(cuerpo, secreto) {
+  return 'sha256=' + crypto.createHmac('sha256', secreto).update(cuerpo).digest('hex');
+}
+
+function crearNotificador({
+  urls       = [],
+  secreto    = null,
+  reintentos = 3,
+  baseMs     = 2000,
+  enviar     = (url, cuerpo, headers) => axios.post(url, cuerpo, { headers, timeout: 10000 }),
+  esperar    = dormir,
+} = {}) {
+  async function entregarA(url, evento, cuerpo) {
+    const headers = {
+      'Content-Type':     'application/json',
+      'User-Agent':       'multas-backend',
+      'X-Multas-Evento':  evento.tipo,
+      'X-Multas-Entrega': evento.id,
+    };
+    if (secreto) headers['X-Multas-Firma'] = firmar(cuerpo, secreto);
+
+    const intentos = [];
+    for (let n = 1; n <= reintentos + 1; n++) {
+      if (n > 1) await esperar(backoff(n - 1, baseMs));
+      const intento = { fecha: new Date().toISOString(), status: null, error: null };
+      intentos.push(intento);
+      try {
+        const res = await enviar(url, cuerpo, headers);
+        intento.status = res.status;
+        return { url, ok: true, intentos };
+      } catch (err) {
+        intento.status = err.response ? err.response.status : null;
+        intento.error  = err.message;
+        console.warn(`[webhooks] Falló la entrega ${evento.id} a ${url} (intento ${n}):`, err.message);
+      }
+    }
+    return { url, ok: false, intentos };
+  }
+
+  return {
+    entregar(evento) {
+      const cuerpo = JSON.stringify(evento);
+      return Promise.all(urls.map(url => entregarA(url, evento, cuerpo)));
+    },
+  };
+}
+
+// WEBHOOK_URLS is a comma-separated list; WEBHOOK_SECRET signs the payloads.
+function crearNotificadorDesdeEnv(env = process.env) {
+  const urls = String(env.WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+  if (urls.length && !env.WEBHOOK_SECRET) {
+    console.warn('AVISO: WEBHOOK_URLS sin WEBHOOK_SECRET; los eventos se envían sin firmar.');
+  }
+  return crearNotificador({
+    urls,
+    secreto:    env.WEBHOOK_SECRET || null,
+    reintentos: env.WEBHOOK_REINTENTOS !== undefined ? Number(env.WEBHOOK_REINTENTOS) : undefined,
+  });
+}
+
+module.exports = { crearNotificador, crearNotificadorDesdeEnv, firmar };
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Manages the backend's API keys (lib/acceso) in CLAVES_FILE.
+ *
+ *   npm run claves -- crear <id> [--nombre "Flota reparto"] [--por-minuto N] [--por-dia N]
+ *                               [--captcha-por-minuto N] [--captcha-por-dia N]
+ *   npm run claves -- listar
+ *   npm run claves -- revocar <id>
+ *
+ * `crear` prints the new key once; only its hash is stored. Limits left out
+ * follow the ACCESO_* defaults in .env, 0 means no limit. A running server
+ * picks up changes without a restart.
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { crearAcceso } = require('../lib/acceso');
+
+const USO = 'Uso: npm run claves -- crear <id> [--nombre X] [--por-minuto N] [--por-dia N] [--captcha-por-minuto N] [--captcha-por-dia N] | listar | revocar <id>';
+
+// Flag → key in `limites`.
+const LIMITES = {
+  'por-minuto':         'porMinuto',
+  'por-dia':            'porDia',
+  'captcha-por-minuto': 'captchaPorMinuto',
+  'captcha-por-dia':    'captchaPorDia',
+};
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        nombre: { type: 'string' },
+        ...Object.fromEntries(Object.keys(LIMITES).map(k => [k, { type: 'string' }])),
+      },
+    });
+  } catch (err) {
+    console.error(`${err.message}\n${USO}`);
+    process.exit(2);
+  }
+  const { values, positionals: [comando, id] } = parsed;
+  const archivo = process.env.CLAVES_FILE || path.join(__dirname, '..', 'data', 'claves.json');
+  const acceso  = crearAcceso({ archivo });
+
+  if (comando === 'listar') {
+    for (const c of acceso.listar()) {
+      const l = c.limites;
+      console.log(`${c.id}\t${c.nombre}\t${c.revocadaEn ? `revocada ${c.revocadaEn}` : 'activa'}\t` +
+        `${l.porMinuto}/min ${l.porDia}/día, captcha ${l.captchaPorMinuto}/min ${l.captchaPorDia}/día`);
+    }
+    return;
+  }
+  if (!id || !['crear', 'revocar'].includes(comando)) {
+    console.error(USO);
+    process.exit(2);
+  }
+
+  if (comando === 'revocar') {
+    let revocada;
+    try {
+      revocada = acceso.revocar(id);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    if (!revocada) {
+      console.error(`No existe la clave ${id}.`);
+      process.exit(1);
+    }
+    console.log(`Clave ${id} revocada.`);
+    return;
+  }
+
+  const limites = {};
+  for (const [flag, key] of Object.entries(LIMITES)) {
+    if (values[flag] === undefined) continue;
+    const n = Number(values[flag]);
+    if (!Number.isInteger(n) || n < 0) {
+      console.error(`--${flag} debe ser un entero mayor o igual a 0.`);
+      process.exit(2);
+    }
+    limites[key] = n;
+  }
+  try {
+    const { clave } = acceso.crear({ id, nombre: values.nombre || id, limites });
+    console.log(`Clave ${id} creada en ${archivo}. Guardala ahora, no se vuelve a mostrar:\n${clave}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Records a live lookup against one portal as a replay fixture.
+ *
+ *   node scripts/grabar-fixture.js <fuente> <dominio> <escenario>
+ *   npm run grabar -- cordoba AB123CD con-infracciones
+ *
+ * Writes test/fixtures/<fuente>/<escenario>.json with every exchange of the
+ * lookup and its outcome as `esperado`. Review the file before committing it:
+ * trim `esperado` to the fields worth asserting and scrub personal data
+ * (titular, documentos) from both the bodies and the expectation.
+ *
+ * Captcha portals need a real provider configured (see .env.example).
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const { crearGrabador } = require('../lib/grabacion');
+const { crearMultas } = require('../lib/multas');
+const { crearSolver } = require('../lib/captcha');
+
+async function main() {
+  const [fuente, dominio, escenario] = process.argv.slice(2);
+  if (!fuente || !dominio || !escenario) {
+    console.error('Uso: node scripts/grabar-fixture.js <fuente> <dominio> <escenario>');
+    process.exit(2);
+  }
+  const multas = crearMultas({ captcha: crearSolver(process.env) });
+  const src = multas.fuentesPorKey.get(fuente);
+  if (!src) {
+    console.error(`Fuente desconocida: ${fuente}`);
+    process.exit(2);
+  }
+
+  const grabador = crearGrabador();
+  multas.http.defaults.adapter = grabador.adapter;
+
+  let esperado;
+  try {
+    esperado = { infracciones: await src.fetch(dominio.toUpperCase()) };
+  } catch (err) {
+    esperado = { error: err.message };
+  }
+
+  const archivo = path.join(__dirname, '..', 'test', 'fixtures', fuente, `${escenario}.json`);
+  grabador.guardar(archivo, { fuente, dominio: dominio.toUpperCase(), escenario, esperado });
+  console.log(`${grabador.intercambios.length} intercambios guardados en ${path.relative(process.cwd(), archivo)}`);
+  console.log(esperado.error ? `Resultado: error (${esperado.error})` : `Resultado: ${esperado.infracciones.length} infracciones`);
+}
+
+main();
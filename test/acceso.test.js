@@ -0,0 +1,135 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const { crearAcceso, hashClave } = require('../lib/acceso');
+const { crearMultas } = require('../lib/multas');
+const { crearFake } = require('../lib/captcha');
+
+const archivoTemporal = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'claves-')), 'claves.json');
+
+const LIMITES = { porMinuto: 2, porDia: 5, captchaPorMinuto: 1, captchaPorDia: 2 };
+
+test('creates, authenticates and revokes keys, storing only their hash', () => {
+  const archivo = archivoTemporal();
+  const acceso  = crearAcceso({ archivo, limites: LIMITES });
+  assert.equal(acceso.activo(), false);
+
+  const { clave, id, limites } = acceso.crear({ id: 'flota', nombre: 'Flota reparto', limites: { porDia: 50 } });
+  assert.equal(id, 'flota');
+  assert.deepEqual(limites, { ...LIMITES, porDia: 50 });
+  assert.equal(acceso.activo(), true);
+  assert.ok(!fs.readFileSync(archivo, 'utf8').includes(clave));
+  assert.throws(() => acceso.crear({ id: 'flota' }), /Ya existe/);
+
+  assert.deepEqual(acceso.autenticar(clave), { cliente: { id: 'flota', nombre: 'Flota reparto' } });
+  assert.equal(acceso.autenticar('').error.codigo, 'CLAVE_REQUERIDA');
+  assert.equal(acceso.autenticar('otra').error.codigo, 'CLAVE_INVALIDA');
+
+  assert.equal(acceso.revocar('flota'), true);
+  assert.equal(acceso.autenticar(clave).error.codigo, 'CLAVE_INVALIDA');
+  assert.equal(acceso.consumir('flota').codigo, 'CLAVE_INVALIDA');
+});
+
+test('picks up hand-edited stores without a restart', () => {
+  const archivo = archivoTemporal();
+  const acceso  = crearAcceso({ archivo });
+  fs.writeFileSync(archivo, JSON.stringify([
+    { id: 'a', clave: 'secreta' },
+    { id: 'b', hash: hashClave('otra') },
+    { id: 'b', hash: hashClave('repetida') },  // duplicate id: ignored
+  ]));
+  fs.utimesSync(archivo, new Date(), new Date(Date.now() + 5000));
+
+  assert.equal(acceso.autenticar('secreta').cliente.id, 'a');
+  assert.equal(acceso.autenticar('otra').cliente.id, 'b');
+  assert.equal(acceso.autenticar('repetida').error.codigo, 'CLAVE_INVALIDA');
+  assert.deepEqual(acceso.listar().map(c => c.id), ['a', 'b']);
+});
+
+test('fails closed on a store it cannot read', () => {
+  const archivo = archivoTemporal();
+  const tocar = (contenido, segundos) => {
+    fs.writeFileSync(archivo, contenido);
+    fs.utimesSync(archivo, new Date(), new Date(Date.now() + segundos * 1000));
+  };
+
+  // Corrupt from the start: no keys to keep, so everything is refused.
+  tocar('[{ "id": "a", "clave": "secreta" ', 5);
+  const acceso = crearAcceso({ archivo });
+  assert.equal(acceso.activo(), true);
+  assert.equal(acceso.autenticar('secreta').error.codigo, 'ACCESO_NO_DISPONIBLE');
+  assert.throws(() => acceso.crear({ id: 'b' }), /No se puede leer/);
+
+  // Fixed: keys apply. Broken again, or left without a usable entry: they stay.
+  tocar(JSON.stringify([{ id: 'a', clave: 'secreta' }]), 10);
+  assert.equal(acceso.autenticar('secreta').cliente.id, 'a');
+  tocar('{', 15);
+  assert.equal(acceso.autenticar('secreta').cliente.id, 'a');
+  assert.equal(acceso.autenticar('otra').error.codigo, 'CLAVE_INVALIDA');
+  tocar(JSON.stringify([{ nombre: 'sin id' }]), 20);
+  assert.equal(acceso.autenticar('secreta').cliente.id, 'a');
+
+  // Emptied on purpose: access is open again.
+  tocar('[]', 25);
+  assert.equal(acceso.activo(), false);
+});
+
+test('enforces per-minute and daily limits, captchas apart', () => {
+  let t = Date.parse('2026-10-19T14:00:00-03:00');
+  const acceso = crearAcceso({ limites: LIMITES, ahora: () => t });
+  acceso.crear({ id: 'k' });
+
+  assert.equal(acceso.consumir('k'), null);
+  assert.equal(acceso.consumir('k'), null);
+  const limite = acceso.consumir('k');
+  assert.equal(limite.codigo, 'LIMITE_EXCEDIDO');
+  assert.equal(limite.status, 429);
+  assert.equal(limite.reintentarEnMs, 60 * 1000);
+
+  // Captcha lookups have their own budget.
+  const cupo = acceso.cupoCaptcha('k');
+  assert.equal(cupo({ key: 'cordoba', captcha: false }), null);
+  assert.equal(cupo({ key: 'ansv', captcha: true }), null);
+  assert.equal(cupo({ key: 'ansv', captcha: true }).codigo, 'LIMITE_EXCEDIDO');
+
+  // A lote counts once against the minute and per plate against the day.
+  t += 60 * 1000;
+  const cuota = acceso.consumir('k', 'consultas', 4);
+  assert.equal(cuota.codigo, 'CUOTA_AGOTADA');
+  assert.match(cuota.message, /quedan 3 de 5 consultas/);
+  assert.equal(cuota.reintentarEnMs, (10 * 60 - 1) * 60 * 1000);  // until Argentine midnight
+  assert.equal(acceso.consumir('k', 'consultas', 3), null);
+
+  const { uso } = acceso.uso('k');
+  assert.deepEqual(uso, { consultas: { minuto: 1, dia: 5 }, captcha: { minuto: 0, dia: 1 } });
+
+  // A new day starts at midnight in Argentina.
+  t = Date.parse('2026-10-20T00:00:00-03:00');
+  assert.equal(acceso.consumir('k'), null);
+});
+
+test('the engine asks cupo before live lookups only', async () => {
+  const multas = crearMultas({ captcha: crearFake() });
+  const ansv = multas.fuentesPorKey.get('ansv');
+  const acceso = crearAcceso({ limites: { ...LIMITES, captchaPorDia: 0 }, ahora: () => 0 });
+  acceso.crear({ id: 'k' });
+  acceso.consumir('k', 'captcha');  // this minute's only captcha
+  const pedidos = [];
+  const cupo = src => {
+    pedidos.push(src.key);
+    return acceso.consumir('k', 'captcha');
+  };
+
+  const r = await multas.consultarFuente(ansv, 'ABC123', 'viejo', { cupo });
+  assert.equal(r.estado, 'error');
+  assert.equal(r.codigo, 'LIMITE_EXCEDIDO');
+  assert.equal(r.reintentable, true);
+
+  multas.cache.put('ansv', 'ABC123', { infracciones: [], truncated: false }, ansv.ttl);
+  const cacheado = await multas.consultarFuente(ansv, 'ABC123', 'viejo', { cupo });
+  assert.equal(cacheado.estado, 'ok');
+  assert.deepEqual(pedidos, ['ansv']);
+});
@@ -0,0 +1,94 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+const { spawnSync } = require('child_process');
+
+const { crearMultas } = require('../lib/multas');
+const { crearFake } = require('../lib/captcha');
+const { crearReproductor, leerFixture } = require('../lib/grabacion');
+const { main, parseArgumentos, codigoDeSalida, SALIDA } = require('../bin/multas');
+
+const multas = crearMultas({ captcha: crearFake(), reintentos: { maxRed: 0 } });
+
+const fixture = nombre => leerFixture(path.join(__dirname, 'fixtures', 'chaco', `${nombre}.json`));
+
+// Runs the CLI against a recorded exchange (never the cache) and captures stdout.
+async function correr(argv, escenario) {
+  const fx = fixture(escenario);
+  multas.http.defaults.adapter = crearReproductor(fx).adapter;
+  const escribir = process.stdout.write;
+  let salida = '';
+  process.stdout.write = texto => { salida += texto; return true; };
+  try {
+    return { codigo: await main([fx.dominio, '--fuente', 'chaco', '--refresh', ...argv], { multas }), salida };
+  } finally {
+    process.stdout.write = escribir;
+  }
+}
+
+test('parses sources, output format and shortcuts', () => {
+  const { opciones } = parseArgumentos(['AB123CD', '-f', 'pba,cordoba', '--json']);
+  assert.deepEqual(opciones.dominios, ['AB123CD']);
+  assert.equal(opciones.fuentes, 'pba,cordoba');
+  assert.equal(opciones.formato, 'json');
+  assert.equal(parseArgumentos(['AB123CD']).opciones.formato, 'tabla');
+  assert.match(parseArgumentos(['AB123CD', '--json', '--csv']).error, /incompatibles/);
+  assert.match(parseArgumentos(['AB123CD', '--formato', 'xml']).error, /desconocido/);
+  assert.ok(parseArgumentos(['--nada']).error);
+});
+
+test('exit code tells pending fines from failed sources', () => {
+  const doc = (estados, errores = 0) => ({ infracciones: estados.map(estado => ({ estado })), resumen: { errores } });
+  assert.equal(codigoDeSalida([doc([])]), SALIDA.SIN_MULTAS);
+  assert.equal(codigoDeSalida([doc(['pagada', 'anulada'])]), SALIDA.SIN_MULTAS);
+  assert.equal(codigoDeSalida([doc([], 1)]), SALIDA.FUENTES_CON_ERROR);
+  assert.equal(codigoDeSalida([doc([], 1), doc(['en_apremio'])]), SALIDA.CON_MULTAS);
+});
+
+test('prints the consolidated document as JSON', async () => {
+  const { codigo, salida } = await correr(['--json'], 'con-infracciones');
+  const doc = JSON.parse(salida);
+  assert.equal(codigo, SALIDA.CON_MULTAS);
+  assert.equal(doc.dominio, 'AB123CD');
+  assert.deepEqual(doc.infracciones.map(i => i.acta), ['FM-2025-0042', 'C-7781']);
+});
+
+test('prints a table and a CSV', async () => {
+  const tabla = await correr([], 'sin-infracciones');
+  assert.equal(tabla.codigo, SALIDA.SIN_MULTAS);
+  assert.match(tabla.salida, /^AB123CD · 0 infracciones/);
+  assert.match(tabla.salida, /Chaco\s+Consultada\s+Sin multas/);
+
+  const csv = await correr(['--csv'], 'con-infracciones');
+  const filas = csv.salida.trimEnd().split('\r\n');
+  assert.equal(filas[0], 'Dominio;Fuente;Acta;Fecha;Descripción;Lugar;Importe;Estado;Jurisdicción');
+  assert.equal(filas.length, 3);
+});
+
+test('rejects bad plates before querying anything', async () => {
+  const escribir = process.stderr.write;
+  process.stderr.write = () => true;
+  try {
+    assert.equal(await main(['AB123CD', 'nada'], { multas }), SALIDA.USO_INVALIDO);
+  } finally {
+    process.stderr.write = escribir;
+  }
+});
+
+test('puts the console back once the command is done', async () => {
+  const originales = [console.log, console.info, console.warn, console.error];
+  await correr(['--json'], 'sin-infracciones');
+  await correr(['--json', '--verbose'], 'sin-infracciones');
+  assert.deepEqual([console.log, console.info, console.warn, console.error], originales);
+});
+
+test('exits with 4, not 1, when the configuration is broken', () => {
+  const r = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'multas.js'), 'AB123CD', '--fuente', 'cordoba'], {
+    env:      { ...process.env, CAPTCHA_PROVIDER: 'foo' },
+    encoding: 'utf8',
+    timeout:  30000,
+  });
+  assert.equal(r.status, SALIDA.ERROR_INTERNO);
+  assert.match(r.stderr, /^Error: CAPTCHA_PROVIDER desconocido: foo/);
+  assert.doesNotMatch(r.stderr, /\n\s+at /);
+});
@@ -0,0 +1,35 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseConsulta, cuitValido, tipoDe, etiquetaConsulta } = require('../lib/consulta');
+
+test('parses plates, DNIs and CUITs', () => {
+  assert.deepEqual(parseConsulta(undefined, 'ab 123 cd'), { tipo: 'dominio', clean: 'AB123CD', formato: 'mercosur' });
+  assert.deepEqual(parseConsulta('dni', '12.345.678'), { tipo: 'dni', clean: '12345678', formato: null });
+  assert.deepEqual(parseConsulta('CUIT', '20-12345678-6'), { tipo: 'cuit', clean: '20123456786', formato: null });
+});
+
+test('rejects bad documents and unknown types with typed errors', () => {
+  assert.equal(parseConsulta('dni', '123').error.codigo, 'DOCUMENTO_INVALIDO');
+  assert.equal(parseConsulta('dni', 'AB123CD').error.codigo, 'DOCUMENTO_INVALIDO');
+  assert.equal(parseConsulta('cuit', '20-12345678-5').error.codigo, 'DOCUMENTO_INVALIDO');
+  assert.match(parseConsulta('cuit', '20-12345678-5').error.message, /verificador/);
+  assert.equal(parseConsulta('cuit', '').error.codigo, 'DOCUMENTO_INVALIDO');
+  assert.equal(parseConsulta('pasaporte', 'X').error.codigo, 'CONSULTA_INVALIDA');
+  assert.equal(parseConsulta('dominio', '1234567').error.codigo, 'DOMINIO_INVALIDO');
+});
+
+test('cuitValido checks prefix and mod-11 check digit', () => {
+  assert.equal(cuitValido('20123456786'), true);
+  assert.equal(cuitValido('30500010912'), true);
+  assert.equal(cuitValido('99123456786'), false);
+  assert.equal(cuitValido('2012345678'), false);
+});
+
+test('normalized values tell their type apart', () => {
+  assert.equal(tipoDe('AB123CD'), 'dominio');
+  assert.equal(tipoDe('1234567'), 'dni');
+  assert.equal(tipoDe('20123456786'), 'cuit');
+  assert.equal(etiquetaConsulta('12345678'), 'DNI 12.345.678');
+  assert.equal(etiquetaConsulta('20123456786'), 'CUIT 20-12345678-6');
+});
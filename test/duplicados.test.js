@@ -0,0 +1,64 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fusionar, coincidencia, claveActa } = require('../lib/duplicados');
+const { consolidar } = require('../lib/multas');
+
+// The same fine as ANSV and the PBA portal list it.
+const ansv = {
+  fuente: 'ansv', acta: 'Q-000123', fecha: '2025-05-02', descripcion: null, lugar: null,
+  importeCentavos: 8540050, estado: 'pendiente', jurisdiccion: 'BUENOS AIRES',
+};
+const pba = {
+  fuente: 'pba', acta: 'Q 123', fecha: '2025-05-02', descripcion: 'Exceso de velocidad', lugar: 'RP 2 km 120',
+  importeCentavos: 8540050, estado: 'pendiente', jurisdiccion: 'Provincia de Buenos Aires',
+};
+
+test('claveActa ignores punctuation, spaces and leading zeros', () => {
+  assert.equal(claveActa('Q-000123'), 'Q123');
+  assert.equal(claveActa('q 123'), 'Q123');
+  assert.equal(claveActa('000450'), '450');
+  assert.equal(claveActa(''), null);
+});
+
+test('rates how well two records match', () => {
+  assert.deepEqual(coincidencia(ansv, pba), { confianza: 'alta', criterios: ['acta', 'fecha', 'importe', 'jurisdiccion'] });
+  assert.deepEqual(coincidencia(ansv, { ...pba, fecha: null, importeCentavos: 9000000 }), { confianza: 'media', criterios: ['acta', 'jurisdiccion'] });
+  assert.equal(coincidencia(ansv, { ...pba, fecha: '2025-05-03' }), null);
+  assert.equal(coincidencia(ansv, { ...pba, jurisdiccion: 'Chaco' }), null);
+  assert.equal(coincidencia(ansv, { ...pba, acta: 'Q-124' }), null);
+  // 'Nacional' says nothing about the place.
+  assert.equal(coincidencia({ ...ansv, jurisdiccion: 'Nacional' }, { ...pba, jurisdiccion: 'Chaco' }).confianza, 'alta');
+});
+
+test('merges an acta reported by several sources into one canonical record', () => {
+  const [unica, otra] = fusionar([ansv, pba, { ...pba, acta: 'Q-999' }]);
+
+  assert.equal(unica.fuente, 'pba');  // the most complete record
+  assert.equal(unica.descripcion, 'Exceso de velocidad');
+  assert.deepEqual(unica.fuentes, ['pba', 'ansv']);
+  assert.equal(unica.coincidencia.confianza, 'alta');
+  assert.deepEqual(unica.reportes.map(r => [r.fuente, r.acta]), [['ansv', 'Q-000123'], ['pba', 'Q 123']]);
+  assert.deepEqual(otra.fuentes, ['pba']);
+  assert.equal(otra.coincidencia, null);
+});
+
+test('never merges two records from the same source', () => {
+  assert.equal(fusionar([pba, { ...pba }]).length, 2);
+});
+
+test('consolidar counts a merged infraction once unless crudo', () => {
+  const resultados = [
+    { fuente: 'ansv', estado: 'ok', infracciones: [ansv] },
+    { fuente: 'pba',  estado: 'ok', infracciones: [pba] },
+  ];
+  const doc = consolidar('AB123CD', '2026-10-19T12:00:00.000Z', resultados);
+  assert.equal(doc.infracciones.length, 1);
+  assert.equal(doc.resumen.duplicadas, 1);
+  assert.equal(doc.resumen.deudaPendienteCentavos, 8540050);
+
+  const crudo = consolidar('AB123CD', '2026-10-19T12:00:00.000Z', resultados, { crudo: true });
+  assert.equal(crudo.infracciones.length, 2);
+  assert.equal(crudo.resumen.duplicadas, 0);
+  assert.equal(crudo.resumen.deudaPendienteCentavos, 2 * 8540050);
+});
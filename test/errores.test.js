@@ -0,0 +1,36 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { errorTipado, tipar } = require('../lib/errores');
+
+const con = (props, mensaje = 'x') => Object.assign(new Error(mensaje), props);
+
+test('typed errors carry status and reintentable', () => {
+  const err = errorTipado('DOMINIO_NO_SOPORTADO', 'formato');
+  assert.equal(err.codigo, 'DOMINIO_NO_SOPORTADO');
+  assert.equal(err.status, 400);
+  assert.equal(err.reintentable, false);
+  assert.equal(tipar(err), err);
+});
+
+test('classifies axios timeouts', () => {
+  assert.equal(tipar(con({ code: 'ECONNABORTED' }, 'timeout of 15000ms exceeded')).codigo, 'TIMEOUT');
+  assert.equal(tipar(con({ code: 'ETIMEDOUT' })).status, 504);
+});
+
+test('classifies HTTP errors from the portal', () => {
+  assert.equal(tipar(con({ response: { status: 503 } })).codigo, 'PORTAL_MANTENIMIENTO');
+  assert.equal(tipar(con({ response: { status: 500 } })).codigo, 'PORTAL_ERROR');
+});
+
+test('classifies network failures', () => {
+  const err = tipar(con({ code: 'ENOTFOUND' }, 'getaddrinfo ENOTFOUND portal.example'));
+  assert.equal(err.codigo, 'PORTAL_NO_DISPONIBLE');
+  assert.equal(err.reintentable, true);
+});
+
+test('anything else is an internal error', () => {
+  const err = tipar(new TypeError("Cannot read properties of undefined (reading 'map')"));
+  assert.equal(err.codigo, 'ERROR_INTERNO');
+  assert.equal(err.status, 500);
+});
@@ -0,0 +1,51 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ESTADOS, clasificarEstado, estados, adeuda } = require('../lib/estado');
+
+const CASOS = [
+  ['PAGADA',                  'pagada'],
+  ['Pagó',                    'pagada'],
+  ['Abonada',                 'pagada'],
+  ['No pagada',               'pendiente'],
+  ['IMPAGA',                  'pendiente'],
+  ['Pago voluntario vencido', 'pendiente'],
+  ['Pendiente de pago',       'pendiente'],
+  ['En plan de pagos',        'en_plan_de_pago'],
+  ['Convenio vigente',        'en_plan_de_pago'],
+  ['APREMIO',                 'en_apremio'],
+  ['En ejecución fiscal',     'en_apremio'],
+  ['Con resolución',          'en_juzgado'],
+  ['Remitida a Juzgado',      'en_juzgado'],
+  ['Prescripta',              'prescripta'],
+  ['Anulada',                 'anulada'],
+  ['Dada de baja',            'anulada'],
+];
+
+test('clasificarEstado maps portal text onto ESTADOS', () => {
+  for (const [texto, esperado] of CASOS) {
+    assert.equal(clasificarEstado(texto), esperado, texto);
+    assert.ok(ESTADOS.includes(esperado));
+  }
+});
+
+test('clasificarEstado falls back to the default for empty or unknown text', () => {
+  assert.equal(clasificarEstado(null), 'pendiente');
+  assert.equal(clasificarEstado(''), 'pendiente');
+  assert.equal(clasificarEstado('Vigente'), 'pendiente');
+  assert.equal(clasificarEstado('???', 'en_plan_de_pago'), 'en_plan_de_pago');
+});
+
+test('estados keeps the raw text and honours an explicit mapping', () => {
+  assert.deepEqual(estados(' Impaga '), { estado: 'pendiente', estadoOriginal: 'Impaga' });
+  assert.deepEqual(estados('Pendiente', 'en_apremio'), { estado: 'en_apremio', estadoOriginal: 'Pendiente' });
+  assert.deepEqual(estados(undefined), { estado: 'pendiente', estadoOriginal: null });
+});
+
+test('adeuda excludes settled statuses', () => {
+  assert.equal(adeuda('pendiente'), true);
+  assert.equal(adeuda('en_apremio'), true);
+  assert.equal(adeuda('pagada'), false);
+  assert.equal(adeuda('prescripta'), false);
+  assert.equal(adeuda('anulada'), false);
+});
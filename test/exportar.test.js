@@ -0,0 +1,65 @@
+const test    = require('node:test');
+const assert  = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { aCsv, aXlsx, filasFuentes } = require('../lib/exportar');
+
+// Consolidated document like /multas/todas.
+const doc = {
+  dominio:      'AB123CD',
+  consultadoEn: '2026-10-19T12:00:00.000Z',
+  fuentes: [
+    { fuente: 'pba',   nombre: 'Prov. Buenos Aires', estado: 'ok',      cantidad: 1 },
+    { fuente: 'caba',  nombre: 'CABA',               estado: 'ok',      cantidad: 0 },
+    { fuente: 'chaco', nombre: 'Chaco',              estado: 'error',   error: 'timeout of 15000ms exceeded', cantidad: 0 },
+    { fuente: 'ansv',  nombre: 'ANSV / SINAI',       estado: 'omitida', motivo: 'Solo patentes ABC123', cantidad: 0 },
+  ],
+  infracciones: [{
+    fuente: 'pba', acta: 'Q-1', fecha: '2025-05-02', descripcion: 'Exceso de velocidad; RP 2', lugar: 'Chascomús',
+    importeCentavos: 8540050, estado: 'pendiente', jurisdiccion: 'Provincia de Buenos Aires',
+  }],
+};
+
+test('never reports a failed or skipped source as "sin multas"', () => {
+  const filas = filasFuentes(doc);
+  assert.deepEqual(filas.map(f => [f.consulta, f.resultado]), [
+    ['Consultada', '1 infracción'],
+    ['Consultada', 'Sin multas'],
+    ['Error', 'Sin datos'],
+    ['No consultada', 'Sin datos'],
+  ]);
+  assert.equal(filas[2].detalle, 'timeout of 15000ms exceeded');
+});
+
+test('writes an Excel-friendly CSV with both sections', () => {
+  const csv = aCsv(doc);
+  assert.ok(csv.startsWith('\uFEFFDominio;Fuente;Acta;Fecha;Descripción;Lugar;Importe;Estado;Jurisdicción\r\n'));
+  const [infracciones, fuentes] = csv.slice(1).trimEnd().split('\r\n\r\n');
+  assert.equal(infracciones.split('\r\n')[1],
+    'AB123CD;pba;Q-1;2025-05-02;"Exceso de velocidad; RP 2";Chascomús;85400,5;pendiente;Provincia de Buenos Aires');
+  assert.equal(fuentes.split('\r\n').length, 5);
+  assert.ok(fuentes.includes('chaco;Chaco;Error;Sin datos;timeout of 15000ms exceeded'));
+});
+
+test('neutralizes portal text that would run as a spreadsheet formula', () => {
+  const malicioso = {
+    ...doc,
+    infracciones: [{ ...doc.infracciones[0], descripcion: '=HYPERLINK("http://x";"y")', lugar: '@SUM(A1)', acta: '-2+3', importeCentavos: -150 }],
+  };
+  const fila = aCsv(malicioso).slice(1).split('\r\n')[1];
+  assert.equal(fila, 'AB123CD;pba;\'-2+3;2025-05-02;"\'=HYPERLINK(""http://x"";""y"")";\'@SUM(A1);-1,5;pendiente;Provincia de Buenos Aires');
+});
+
+test('writes an XLSX with an infractions sheet and a sources sheet', async () => {
+  const libro = new ExcelJS.Workbook();
+  await libro.xlsx.load(await aXlsx(doc));
+
+  const infracciones = libro.getWorksheet('Infracciones');
+  assert.equal(infracciones.rowCount, 2);
+  assert.equal(infracciones.getRow(2).getCell(7).value, 85400.5);
+  assert.equal(infracciones.getRow(2).getCell(3).value, 'Q-1');
+
+  const fuentes = libro.getWorksheet('Fuentes');
+  assert.equal(fuentes.rowCount, 5);
+  assert.equal(fuentes.getRow(5).getCell(3).value, 'No consultada');
+});
@@ -0,0 +1,100 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { crearMultas } = require('../lib/multas');
+const { crearFake } = require('../lib/captcha');
+const { crearReproductor, leerFixture } = require('../lib/grabacion');
+const { tipar } = require('../lib/errores');
+
+// Captcha portals get deterministic tokens instead of a paid solve.
+const solver = crearFake();
+const { http, fuentesPorKey: FUENTES_POR_KEY } = crearMultas({ captcha: solver });
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const adapterOriginal = http.defaults.adapter;
+
+// Replays a fixture through its fetcher and returns the reproductor.
+async function reproducir(fixture, verificar) {
+  const rep = crearReproductor(fixture);
+  http.defaults.adapter = rep.adapter;
+  try {
+    await verificar(FUENTES_POR_KEY.get(fixture.fuente).fetch(fixture.dominio));
+  } finally {
+    http.defaults.adapter = adapterOriginal;
+  }
+  return rep;
+}
+
+// Expected records list only the fields worth asserting.
+function coincide(infracciones, esperadas) {
+  assert.equal(infracciones.length, esperadas.length);
+  esperadas.forEach((esperada, i) => {
+    for (const [campo, valor] of Object.entries(esperada)) {
+      assert.deepEqual(infracciones[i][campo], valor, `infracción ${i}, campo ${campo}`);
+    }
+  });
+}
+
+// Hand-written fixtures are flagged in the test name (test/fixtures/README.md).
+const fuentesConFixtures = fs.readdirSync(FIXTURES, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+
+for (const fuente of fuentesConFixtures.sort()) {
+  for (const archivo of fs.readdirSync(path.join(FIXTURES, fuente)).filter(a => a.endsWith('.json')).sort()) {
+    const fixture = leerFixture(path.join(FIXTURES, fuente, archivo));
+
+    test(`${fuente}: ${fixture.escenario}${fixture.sintetico ? ' (sintético)' : ''}`, async () => {
+      assert.ok(FUENTES_POR_KEY.has(fixture.fuente), `fuente desconocida en ${archivo}`);
+      const { esperado } = fixture;
+      const reportadosAntes = solver.reportados.length;
+
+      const rep = await reproducir(fixture, async consulta => {
+        if (esperado.error) {
+          // Untyped errors (HTTP / network) get their code in lib/multas; do the same here.
+          await assert.rejects(consulta, err => {
+            assert.ok(err.message.includes(esperado.error), err.message);
+            if (esperado.codigo) assert.equal(tipar(err).codigo, esperado.codigo);
+            return true;
+          });
+        } else {
+          const infracciones = await consulta;
+          assert.ok(infracciones.every(i => i.fuente === fuente));
+          coincide(infracciones, esperado.infracciones);
+        }
+      });
+      assert.equal(rep.pendientes(), 0, 'quedaron intercambios sin consumir');
+      if (esperado.captchasReportados !== undefined) {
+        assert.equal(solver.reportados.length - reportadosAntes, esperado.captchasReportados);
+      }
+    });
+  }
+}
+
+test('replay rejects a request the fixture does not expect', async () => {
+  const rep = crearReproductor({ intercambios: [
+    { pedido: { method: 'GET', url: 'https://portal.example/a' }, respuesta: { status: 200, data: 'ok' } },
+  ] });
+  http.defaults.adapter = rep.adapter;
+  try {
+    await assert.rejects(http.post('https://portal.example/a'), /desalineada/);
+    await assert.rejects(http.get('https://portal.example/a'), /agotada/);
+  } finally {
+    http.defaults.adapter = adapterOriginal;
+  }
+});
+
+test('replay applies validateStatus like a live response', async () => {
+  const intercambios = [
+    { pedido: { method: 'GET', url: 'https://portal.example/a' }, respuesta: { status: 404, data: { error: 'x' } } },
+  ];
+  http.defaults.adapter = crearReproductor({ intercambios }).adapter;
+  try {
+    await assert.rejects(http.get('https://portal.example/a'), err => err.response.status === 404);
+    http.defaults.adapter = crearReproductor({ intercambios }).adapter;
+    const res = await http.get('https://portal.example/a', { validateStatus: () => true });
+    assert.deepEqual(res.data, { error: 'x' });
+  } finally {
+    http.defaults.adapter = adapterOriginal;
+  }
+});
@@ -0,0 +1,55 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearHistorial } = require('../lib/historial');
+
+const multa = (acta, estado = 'pendiente', importeCentavos = 1000) => ({ fuente: 'pba', acta, estado, importeCentavos });
+
+// History for AB123CD with three pba lookups and one caba lookup.
+function historial() {
+  const h = crearHistorial();
+  const guardar = (fuente, consultadoEn, infracciones) => h.guardar({ dominio: 'AB123CD', fuente, consultadoEn, infracciones, truncated: false });
+  guardar('pba',  '2026-01-10T12:00:00.000Z', [multa('A1'), multa('A2')]);
+  guardar('pba',  '2026-02-10T12:00:00.000Z', [multa('A1', 'pagada'), multa('A2', 'pendiente', 1500), multa('A3')]);
+  guardar('caba', '2026-02-15T12:00:00.000Z', [{ fuente: 'caba', acta: 'C1', estado: 'pendiente', importeCentavos: 500 }]);
+  guardar('pba',  '2026-03-10T12:00:00.000Z', [multa('A1', 'pagada'), multa('A3')]);
+  return h;
+}
+
+test('returns the timeline oldest first, with filters', () => {
+  const h = historial();
+  const todas = h.timeline('AB123CD');
+  assert.deepEqual(todas.map(c => [c.fuente, c.infracciones.length]), [['pba', 2], ['pba', 3], ['caba', 1], ['pba', 2]]);
+  assert.deepEqual(todas[0].infracciones[0], multa('A1'));
+
+  assert.equal(h.timeline('AB123CD', { fuente: 'caba' }).length, 1);
+  assert.equal(h.timeline('AB123CD', { desde: '2026-02-01T00:00:00.000Z', hasta: '2026-02-28T00:00:00.000Z' }).length, 2);
+  assert.deepEqual(h.timeline('ZZ999ZZ'), []);
+});
+
+test('diffs two points in time by acta', () => {
+  const d = historial().diff('AB123CD', { desde: '2026-01-31T00:00:00.000Z', hasta: '2026-02-28T00:00:00.000Z' });
+  assert.deepEqual(d.fuentes, [{ fuente: 'pba', desde: '2026-01-10T12:00:00.000Z', hasta: '2026-02-10T12:00:00.000Z', parcial: false }]);
+  assert.deepEqual(d.sinReferencia, ['caba']);
+  assert.deepEqual(d.resumen, { aparecidas: 1, modificadas: 2, desaparecidas: 0 });
+
+  const porActa = Object.fromEntries(d.cambios.map(c => [c.acta, c]));
+  assert.deepEqual(porActa.A1.cambios, { estado: { antes: 'pendiente', despues: 'pagada' } });
+  assert.deepEqual(porActa.A2.cambios, { importeCentavos: { antes: 1000, despues: 1500 } });
+  assert.equal(porActa.A3.tipo, 'aparecida');
+  assert.equal(porActa.A3.vistaPorPrimeraVez, '2026-02-10T12:00:00.000Z');
+});
+
+test('without bounds it compares the first and latest lookups', () => {
+  const d = historial().diff('AB123CD', { fuente: 'pba' });
+  assert.deepEqual(d.cambios.map(c => [c.tipo, c.acta]), [['modificada', 'A1'], ['aparecida', 'A3'], ['desaparecida', 'A2']]);
+  assert.equal(d.cambios[2].vistaPorPrimeraVez, '2026-01-10T12:00:00.000Z');
+});
+
+test('a truncated later lookup reports no actas as gone', () => {
+  const h = historial();
+  h.guardar({ dominio: 'AB123CD', fuente: 'pba', consultadoEn: '2026-04-10T12:00:00.000Z', infracciones: [multa('A4')], truncated: true });
+  const d = h.diff('AB123CD', { fuente: 'pba', desde: '2026-03-31T00:00:00.000Z' });
+  assert.equal(d.fuentes[0].parcial, true);
+  assert.deepEqual(d.resumen, { aparecidas: 1, modificadas: 0, desaparecidas: 0 });
+});
@@ -0,0 +1,56 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCentavos, parseImporte, importes } = require('../lib/importe');
+
+// Strings as they show up in the portals' tables and JSON payloads.
+const CASOS = [
+  ['$ 12.345,67',        1234567],
+  ['$12.345,67',         1234567],
+  ['$ 1.234.567,89',     123456789],
+  ['ARS 12.345,67',      1234567],
+  ['ARS 1.500',          150000],
+  ['AR$ 980,50',         98050],
+  ['$ 12.345',           1234500],
+  ['$ 500',              50000],
+  ['$ 0,00',             0],
+  ['12,5',               1250],
+  ['12345.67',           1234567],
+  ['12345.6',            1234560],
+  ['12345',              1234500],
+  ['1,234,567.89',       123456789],
+  ['  $ 45.600,00  ',    4560000],
+  ['$ 45.600,00',        4560000],
+  ['-$ 1.000,00',        -100000],
+  ['($ 1.000,00)',       -100000],
+  ['$ 10,005',           1001],
+];
+
+test('parseCentavos reads es-AR and plain amounts', () => {
+  for (const [entrada, esperado] of CASOS) {
+    assert.equal(parseCentavos(entrada), esperado, JSON.stringify(entrada));
+  }
+});
+
+test('parseCentavos accepts numbers from JSON APIs', () => {
+  assert.equal(parseCentavos(12345.67), 1234567);
+  assert.equal(parseCentavos(1500), 150000);
+  assert.equal(parseCentavos(0), 0);
+});
+
+test('parseCentavos returns null for missing or unreadable values', () => {
+  for (const v of [null, undefined, '', '$', 'S/D', '-', 'abc', '12,34,5.6.7', NaN]) {
+    assert.equal(parseCentavos(v), null, JSON.stringify(v));
+  }
+});
+
+test('parseImporte returns decimal pesos', () => {
+  assert.equal(parseImporte('$ 12.345,67'), 12345.67);
+  assert.equal(parseImporte('ARS 1.500'), 1500);
+  assert.equal(parseImporte('S/D'), null);
+});
+
+test('importes returns both decimal and integer cents', () => {
+  assert.deepEqual(importes('$ 12.345,67'), { importe: 12345.67, importeCentavos: 1234567 });
+  assert.deepEqual(importes(undefined), { importe: null, importeCentavos: null });
+});
@@ -0,0 +1,49 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { aPdf, deudaPorJurisdiccion, aclaraciones } = require('../lib/informe');
+
+// Consolidated document like /multas/todas.
+const doc = {
+  dominio:      'AB123CD',
+  consultadoEn: '2026-10-19T12:00:00.000Z',
+  fuentes: [
+    { fuente: 'pba',     nombre: 'Prov. Buenos Aires', estado: 'ok',      cantidad: 2, cachedAt: '2026-10-19T12:00:00.000Z' },
+    { fuente: 'cordoba', nombre: 'Córdoba',            estado: 'ok',      cantidad: 2, cachedAt: '2026-10-19T09:30:00.000Z' },
+    { fuente: 'chaco',   nombre: 'Chaco',              estado: 'error',   error: 'timeout of 15000ms exceeded', cantidad: 0 },
+    { fuente: 'ansv',    nombre: 'ANSV / SINAI',       estado: 'omitida', motivo: 'El portal ANSV / SINAI no admite patentes en formato mercosur.', cantidad: 0 },
+  ],
+  infracciones: [
+    { fuente: 'pba',     acta: 'Q-1', fecha: '2025-05-02', importeCentavos: 8540050, estado: 'pendiente',  jurisdiccion: 'Provincia de Buenos Aires' },
+    { fuente: 'pba',     acta: 'Q-2', fecha: '2024-01-10', importeCentavos: 1000000, estado: 'pagada',     jurisdiccion: 'Provincia de Buenos Aires' },
+    { fuente: 'cordoba', acta: 'C-7', fecha: '2025-08-15', importeCentavos: 2500000, estado: 'en_apremio', jurisdiccion: 'Córdoba' },
+    { fuente: 'cordoba', acta: 'C-8', fecha: '2025-09-01', importeCentavos: null,    estado: 'pendiente',  jurisdiccion: null },
+  ],
+};
+
+test('totals what is still owed per jurisdiction', () => {
+  assert.deepEqual(deudaPorJurisdiccion(doc), [
+    { jurisdiccion: 'Provincia de Buenos Aires', cantidad: 1, importeCentavos: 8540050, sinImporte: 0 },
+    { jurisdiccion: 'Córdoba',                   cantidad: 2, importeCentavos: 2500000, sinImporte: 1 },
+  ]);
+});
+
+test('adds a disclaimer for every source that failed or was skipped', () => {
+  const textos = aclaraciones(doc);
+  assert.ok(textos.some(t => t.startsWith('Chaco: no se pudo consultar (timeout of 15000ms exceeded)')));
+  assert.ok(textos.some(t => t.startsWith('ANSV / SINAI: no fue consultado (El portal ANSV / SINAI no admite patentes en formato mercosur.)')));
+  assert.ok(textos.some(t => t.includes('caché')), 'Córdoba came from an earlier lookup');
+  assert.ok(!textos.some(t => t.startsWith('Prov. Buenos Aires')));
+});
+
+test('renders a PDF, across pages when the list is long', async () => {
+  const corto = await aPdf(doc);
+  assert.equal(corto.subarray(0, 5).toString(), '%PDF-');
+
+  const largo = await aPdf({
+    ...doc,
+    infracciones: Array.from({ length: 120 }, (_, n) => ({ ...doc.infracciones[0], acta: `Q-${n}`, descripcion: 'Exceso de velocidad en ruta provincial' })),
+  });
+  const paginas = largo.toString('latin1').match(/\/Type \/Page\b/g).length;
+  assert.ok(paginas > 1, `${paginas} página(s)`);
+});
@@ -0,0 +1,35 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearInfraccion, vencimientos, texto } = require('../lib/infraccion');
+
+test('crearInfraccion fills every schema field', () => {
+  const inf = crearInfraccion('chaco', { acta: '123' });
+  assert.deepEqual(Object.keys(inf), [
+    'fuente', 'acta', 'fecha', 'fechaOriginal', 'fechaVencimiento', 'descripcion', 'lugar',
+    'importe', 'importeCentavos', 'estado', 'estadoOriginal', 'jurisdiccion', 'organismo',
+    'titular', 'vencimientos',
+  ]);
+  assert.equal(inf.fuente, 'chaco');
+  assert.equal(inf.estado, 'pendiente');
+  assert.deepEqual(inf.vencimientos, []);
+});
+
+test('crearInfraccion takes fechaVencimiento from the first vencimiento', () => {
+  const inf = crearInfraccion('chaco', {
+    vencimientos: vencimientos(['10/04/2024', '$ 1.000,00'], ['10/05/2024', '$ 1.500,00']),
+  });
+  assert.equal(inf.fechaVencimiento, '2024-04-10');
+});
+
+test('vencimientos parses pairs and drops empty ones', () => {
+  assert.deepEqual(vencimientos(['10/04/2024', '1000.5'], [null, undefined], ['', '']), [
+    { fecha: '2024-04-10', importe: 1000.5, importeCentavos: 100050 },
+  ]);
+});
+
+test('texto trims and collapses whitespace', () => {
+  assert.equal(texto('  Juan   Pérez '), 'Juan Pérez');
+  assert.equal(texto(''), null);
+  assert.equal(texto(undefined), null);
+});
@@ -0,0 +1,109 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const { crearLotes, dominiosDeCsv } = require('../lib/lotes');
+
+const archivoTemporal = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lotes-')), 'lotes.json');
+
+// Fake consultar: answers source 'a' for every plate and tracks concurrency.
+function consultor() {
+  const vistos = [];
+  let enVuelo = 0;
+  let maximo  = 0;
+  const consultar = async (item, { alParcial }) => {
+    vistos.push({ dominio: item.dominio, previos: Object.keys(item.parciales) });
+    maximo = Math.max(maximo, ++enVuelo);
+    await new Promise(resolve => setImmediate(resolve));
+    const a = item.parciales.a || { fuente: 'a', estado: 'ok', infracciones: [] };
+    if (!item.parciales.a) alParcial(a);
+    enVuelo--;
+    return { dominio: item.dominio, fuentes: [a] };
+  };
+  return { consultar, vistos, maximo: () => maximo };
+}
+
+test('runs every plate with bounded concurrency', async () => {
+  const c = consultor();
+  const lotes = crearLotes({ concurrencia: 2, consultar: c.consultar });
+  const items = ['AAA111', 'BBB222', 'CCC333', 'DDD444'].map(dominio => ({ dominio, formato: 'viejo' }));
+  const { id, estado } = lotes.crear({ items: [...items, { dominio: 'X', error: 'Dominio inválido' }] });
+  assert.equal(estado, 'pendiente');
+
+  await lotes.esperar(id);
+  const lote = lotes.obtener(id);
+  assert.equal(lote.estado, 'terminado');
+  assert.deepEqual(lote.progreso, { total: 5, listos: 4, pendientes: 0, errores: 0, invalidos: 1 });
+  assert.equal(lote.items[0].resultado.dominio, 'AAA111');
+  assert.equal(lote.items[4].estado, 'invalido');
+  assert.equal(c.maximo(), 2);
+});
+
+test('resumes from the store without repeating finished work', async () => {
+  // State left on disk by a run that stopped mid-lote: first plate done,
+  // second with one source already answered.
+  const archivo = archivoTemporal();
+  const id = 'lote-1';
+  fs.writeFileSync(archivo, JSON.stringify([{
+    id, estado: 'en_curso', creadoEn: '2026-10-18T10:00:00.000Z', terminadoEn: null, fuentes: null,
+    items: [
+      { dominio: 'AAA111', formato: 'viejo', estado: 'listo', parciales: {}, resultado: { dominio: 'AAA111' } },
+      { dominio: 'BBB222', formato: 'viejo', estado: 'pendiente', parciales: { a: { fuente: 'a', estado: 'ok', infracciones: [] } }, resultado: null },
+    ],
+  }]));
+
+  const c = consultor();
+  const lotes = crearLotes({ archivo, consultar: c.consultar });
+  assert.equal(lotes.reanudar(), 1);
+  await lotes.esperar(id);
+
+  assert.deepEqual(c.vistos, [{ dominio: 'BBB222', previos: ['a'] }]);
+  assert.equal(lotes.obtener(id).estado, 'terminado');
+  assert.equal(JSON.parse(fs.readFileSync(archivo, 'utf8'))[0].estado, 'terminado');
+});
+
+test('cancelling stops after the plates in flight', async () => {
+  const c = consultor();
+  const lotes = crearLotes({ concurrencia: 1, consultar: c.consultar });
+  const { id } = lotes.crear({ items: ['AAA111', 'BBB222', 'CCC333'].map(dominio => ({ dominio, formato: 'viejo' })) });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(lotes.cancelar(id), true);
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const lote = lotes.obtener(id);
+  assert.equal(lote.estado, 'cancelado');
+  assert.ok(lote.progreso.pendientes >= 2);
+  assert.equal(lotes.cancelar(id), false);
+  assert.equal(lotes.eliminar(id), true);
+  assert.equal(lotes.obtener(id), null);
+});
+
+test('reads plates from a CSV', () => {
+  assert.deepEqual(dominiosDeCsv('interno;patente;chofer\n12;AB123CD;Pérez\n13;"ABC 123";Gómez\n'), ['AB123CD', 'ABC 123']);
+  assert.deepEqual(dominiosDeCsv('AB123CD\r\nABC123\r\n'), ['AB123CD', 'ABC123']);
+  assert.deepEqual(dominiosDeCsv(''), []);
+});
+
+test('batches progress writes while a lote runs', async () => {
+  const archivo = archivoTemporal();
+  const escrituras = [];
+  const escribir = fs.writeFileSync;
+  fs.writeFileSync = (destino, ...resto) => {
+    if (String(destino).startsWith(archivo)) escrituras.push(JSON.parse(resto[0])[0].estado);
+    return escribir.call(fs, destino, ...resto);
+  };
+  try {
+    const c = consultor();
+    const lotes = crearLotes({ archivo, guardarCadaMs: 60 * 1000, consultar: c.consultar });
+    const items = Array.from({ length: 20 }, (_, i) => ({ dominio: `AA${String(i).padStart(3, '0')}BB`, formato: 'nuevo' }));
+    const { id } = lotes.crear({ items });
+    await lotes.esperar(id);
+    // Created, started, finished: no write per source or per plate.
+    assert.deepEqual(escrituras, ['pendiente', 'en_curso', 'terminado']);
+  } finally {
+    fs.writeFileSync = escribir;
+  }
+  assert.ok(JSON.parse(fs.readFileSync(archivo, 'utf8'))[0].items.every(i => i.estado === 'listo'));
+});
@@ -0,0 +1,88 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const { consultar, crearMultas, crearMultasDesdeEnv, crearHttp, crearHistorial } = require('..');
+const { crearFake } = require('../lib/captcha');
+const { crearReproductor, leerFixture } = require('../lib/grabacion');
+
+const fixture = nombre => leerFixture(path.join(__dirname, 'fixtures', 'chaco', `${nombre}.json`));
+
+// HTTP client that replays a recorded exchange.
+function httpDe(fx) {
+  const http = crearHttp();
+  http.defaults.adapter = crearReproductor(fx).adapter;
+  return http;
+}
+
+test('looks up a plate through the library with an injected client', async () => {
+  const fx = fixture('con-infracciones');
+  const doc = await consultar(fx.dominio, { fuentes: ['chaco', 'ansv'], http: httpDe(fx) });
+
+  assert.equal(doc.dominio, 'AB123CD');
+  assert.deepEqual(doc.fuentes.map(f => [f.fuente, f.estado]), [['chaco', 'ok'], ['ansv', 'omitida']]);
+  assert.deepEqual(doc.infracciones.map(i => i.acta), ['FM-2025-0042', 'C-7781']);
+  assert.equal(doc.resumen.deudaPendienteCentavos, 9500000);
+});
+
+test('skips captcha portals without a provider', async () => {
+  const multas = crearMultas();
+  const doc = await multas.consultar('ABC123', { fuentes: 'caba' });
+  assert.equal(doc.fuentes[0].codigo, 'CAPTCHA_NO_CONFIGURADO');
+  assert.equal(crearMultas({ captcha: crearFake() }).disponible(multas.fuentesPorKey.get('caba')), true);
+});
+
+test('throws typed errors for what stops a lookup before it starts', async () => {
+  const multas = crearMultas();
+  await assert.rejects(multas.consultar('nada'), { codigo: 'DOMINIO_INVALIDO' });
+  await assert.rejects(multas.consultar('AB123CD', { fuentes: ['pba', 'otra'] }), { codigo: 'FUENTE_DESCONOCIDA' });
+  await assert.rejects(multas.consultarUna('ansv', 'AB123CD'), { codigo: 'DOMINIO_NO_SOPORTADO' });
+});
+
+test('serves repeated lookups from its cache and saves live ones to the history', async () => {
+  const fx = fixture('sin-infracciones');
+  const historial = crearHistorial();
+  const multas = crearMultas({ http: httpDe(fx), historial });
+
+  const primera = await multas.consultarUna('chaco', fx.dominio);
+  const segunda = await multas.consultarUna('chaco', fx.dominio);
+  assert.equal(primera.fresh, true);
+  assert.equal(segunda.fresh, false);
+  assert.equal(historial.timeline(fx.dominio).length, 1);
+  historial.cerrar();
+});
+
+test('searches by person on the portals that allow it and skips the rest', async () => {
+  const http = crearHttp();
+  const pedidos = [];
+  http.defaults.adapter = async config => {
+    pedidos.push(JSON.parse(config.data));
+    return { status: 404, statusText: 'Not Found', headers: {}, config, data: { data: null, error: 'No se encontraron infracciones' } };
+  };
+  const doc = await consultar('12.345.678', { tipo: 'dni', fuentes: ['neuquen', 'chaco'], http });
+
+  assert.equal(doc.dominio, null);
+  assert.deepEqual(doc.consulta, { tipo: 'dni', valor: '12345678' });
+  assert.deepEqual(doc.fuentes.map(f => [f.fuente, f.estado, f.codigo]), [['neuquen', 'ok', undefined], ['chaco', 'omitida', 'CONSULTA_NO_SOPORTADA']]);
+  assert.deepEqual(pedidos, [{ datos_sobre: 'dni', valor: '12345678' }]);
+  await assert.rejects(consultar('20-12345678-5', { tipo: 'cuit', http }), { codigo: 'DOCUMENTO_INVALIDO' });
+});
+
+test('retries a portal outage answered with a 5xx status', async () => {
+  const dir = path.join(__dirname, 'fixtures', 'neuquen');
+  const caida = leerFixture(path.join(dir, 'error.json'));
+  const ok    = leerFixture(path.join(dir, 'con-infracciones.json'));
+  const http  = crearHttp();
+  http.defaults.adapter = crearReproductor({ intercambios: [...caida.intercambios, ...ok.intercambios] }).adapter;
+  const multas = crearMultas({ http, reintentos: { maxRed: 1, esperar: async () => {} } });
+
+  const r = await multas.consultarUna('neuquen', ok.dominio);
+  assert.equal(r.infracciones.length, ok.esperado.infracciones.length);
+  assert.deepEqual(r.reintentos.map(x => x.motivo), ['red']);
+});
+
+test('keeps history from the environment only where a path is given', () => {
+  assert.equal(crearMultasDesdeEnv({}).historial, null);
+  assert.equal(typeof crearMultasDesdeEnv({ HISTORIAL_FILE: ':memory:' }).historial.guardar, 'function');
+  assert.equal(typeof crearMultasDesdeEnv({}, { historialPorDefecto: ':memory:' }).historial.guardar, 'function');
+});
@@ -0,0 +1,64 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { paginar, hayMasPaginas } = require('../lib/paginacion');
+
+// Fake portal: `total` items served `porPagina` at a time.
+function portal(total, porPagina, body = () => ({})) {
+  const pedidas = [];
+  const obtener = async pagina => {
+    pedidas.push(pagina);
+    const desde = (pagina - 1) * porPagina;
+    const items = Array.from({ length: Math.max(0, Math.min(porPagina, total - desde)) }, (_, i) => ({ acta: desde + i }));
+    return { items, body: body(pagina) };
+  };
+  return { obtener, pedidas };
+}
+
+test('follows last_page markers', async () => {
+  const p = portal(25, 10, () => ({ last_page: 3 }));
+  const r = await paginar(p.obtener);
+  assert.equal(r.items.length, 25);
+  assert.equal(r.truncated, false);
+  assert.deepEqual(p.pedidas, [1, 2, 3]);
+});
+
+test('stops on a short page when there are no markers', async () => {
+  const p = portal(15, 10);
+  const r = await paginar(p.obtener, { porPagina: 10 });
+  assert.equal(r.items.length, 15);
+  assert.deepEqual(p.pedidas, [1, 2]);
+});
+
+test('stops when a portal ignores the page parameter', async () => {
+  const r = await paginar(async () => ({ items: [{ acta: 1 }, { acta: 2 }] }));
+  assert.equal(r.items.length, 2);
+  assert.equal(r.truncated, false);
+});
+
+test('flags truncated at the page cap', async () => {
+  const p = portal(100, 10, () => ({ total: 100 }));
+  const r = await paginar(p.obtener, { maxPaginas: 3 });
+  assert.equal(r.items.length, 30);
+  assert.equal(r.truncated, true);
+});
+
+test('keeps earlier pages when a later one fails', async () => {
+  const r = await paginar(async pagina => {
+    if (pagina === 2) throw new Error('boom');
+    return { items: [{ acta: 1 }], body: { totalPaginas: 4 } };
+  });
+  assert.deepEqual(r.items, [{ acta: 1 }]);
+  assert.equal(r.truncated, true);
+});
+
+test('a failing first page is an error', async () => {
+  await assert.rejects(paginar(async () => { throw new Error('boom'); }), /boom/);
+});
+
+test('hayMasPaginas reads the common markers', () => {
+  assert.equal(hayMasPaginas({ last_page: 2 }, 1, 10), true);
+  assert.equal(hayMasPaginas({ next_page_url: null }, 1, 10), false);
+  assert.equal(hayMasPaginas({ total: 10 }, 1, 10), false);
+  assert.equal(hayMasPaginas([], 1, 10), undefined);
+});
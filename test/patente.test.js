@@ -0,0 +1,36 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatoPatente, describirPatente, limpiarPatente } = require('../lib/patente');
+const { parseDominio } = require('../lib/consulta');
+const { crearMultas } = require('../lib/multas');
+const { crearFake } = require('../lib/captcha');
+
+test('recognizes car, motorcycle and provincial plates', () => {
+  assert.equal(formatoPatente('ABC123'), 'viejo');
+  assert.equal(formatoPatente('AB123CD'), 'mercosur');
+  assert.equal(formatoPatente('123ABC'), 'moto_viejo');
+  assert.equal(formatoPatente('A123BCD'), 'moto_mercosur');
+  assert.equal(formatoPatente('B123456'), 'provincial');
+  assert.equal(formatoPatente('I123456'), null);  // no province uses I or O
+  assert.equal(formatoPatente('AB12CD'), null);
+});
+
+test('tags the vehicle type', () => {
+  assert.deepEqual(describirPatente('A123BCD'), { formato: 'moto_mercosur', vehiculo: 'moto' });
+  assert.deepEqual(describirPatente('X123456'), { formato: 'provincial', vehiculo: null, provincia: 'Córdoba' });
+  assert.equal(limpiarPatente('b 1.234.567'), 'B1234567');
+  assert.deepEqual(parseDominio('123 abc'), { clean: '123ABC', formato: 'moto_viejo', vehiculo: 'moto' });
+  assert.equal(parseDominio('12AB').error.codigo, 'DOMINIO_INVALIDO');
+});
+
+test('sends a plate only to the sources that take its format', async () => {
+  const multas = crearMultas({ captcha: crearFake() });
+  const ansv = multas.fuentesPorKey.get('ansv');
+  assert.equal(multas.verificarFuente(ansv, 'moto_viejo'), null);
+  assert.match(multas.verificarFuente(ansv, 'moto_mercosur').message, /moto, formato Mercosur/);
+  assert.equal(multas.verificarFuente(multas.fuentesPorKey.get('mendoza'), 'moto_viejo').codigo, 'DOMINIO_NO_SOPORTADO');
+
+  // The registry guards the fetchers too.
+  await assert.rejects(ansv.fetch('A123BCD'), { codigo: 'DOMINIO_NO_SOPORTADO' });
+});
@@ -0,0 +1,93 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { conReintentos, motivoReintento, backoff } = require('../lib/reintentos');
+const { errorTipado } = require('../lib/errores');
+
+const con = (props, mensaje = 'x') => Object.assign(new Error(mensaje), props);
+
+// Fails with each error in turn, then resolves to 'ok'.
+function intentos(...errores) {
+  let n = 0;
+  const intentar = async () => {
+    n++;
+    if (errores.length) throw errores.shift();
+    return 'ok';
+  };
+  return { intentar, llamadas: () => n };
+}
+
+// Records waits instead of sleeping.
+function opciones(extra) {
+  const esperas = [];
+  return { esperas, opts: { maxCaptcha: 2, maxRed: 2, baseMs: 100, esperar: async ms => { esperas.push(ms); }, ...extra } };
+}
+
+test('classifies what is worth retrying', () => {
+  assert.equal(motivoReintento(errorTipado('CAPTCHA_RECHAZADO', 'x')), 'captcha');
+  assert.equal(motivoReintento(errorTipado('TIMEOUT', 'x')), 'red');
+  assert.equal(motivoReintento(errorTipado('PORTAL_ERROR', 'x', { response: { status: 502 } })), 'red');
+  assert.equal(motivoReintento(errorTipado('PORTAL_ERROR', 'x', { response: { status: 404 } })), null);
+  assert.equal(motivoReintento(errorTipado('FORMATO_CAMBIADO', 'x')), null);
+});
+
+test('backoff doubles and is capped', () => {
+  const medio = () => 0.5;
+  assert.deepEqual([1, 2, 3].map(n => backoff(n, 1000, 30000, medio)), [1000, 2000, 4000]);
+  assert.equal(backoff(10, 1000, 30000, medio), 30000);
+  assert.equal(backoff(1, 1000, 30000, () => 0), 800);
+});
+
+test('reports a refused captcha and retries right away', async () => {
+  const reportados = [];
+  const { esperas, opts } = opciones({ alRechazarCaptcha: async err => { reportados.push(err.captchaId); } });
+  const { intentar, llamadas } = intentos(errorTipado('CAPTCHA_RECHAZADO', 'vacía', { captchaId: 'c-1' }));
+  const reintentos = [];
+
+  assert.equal(await conReintentos(intentar, { ...opts, reintentos }), 'ok');
+  assert.equal(llamadas(), 2);
+  assert.deepEqual(reportados, ['c-1']);
+  assert.deepEqual(esperas, []);
+  assert.deepEqual(reintentos, [{ intento: 1, motivo: 'captcha', codigo: 'CAPTCHA_RECHAZADO', error: 'vacía', esperaMs: 0 }]);
+});
+
+test('reports every refused token, the last one too, when captcha retries run out', async () => {
+  const reportados = [];
+  const { opts } = opciones({ maxCaptcha: 2, alRechazarCaptcha: async err => { reportados.push(err.captchaId); } });
+  const rechazo = id => errorTipado('CAPTCHA_RECHAZADO', 'rechazado', { captchaId: id });
+  const { intentar, llamadas } = intentos(rechazo('c1'), rechazo('c2'), rechazo('c3'));
+
+  await assert.rejects(conReintentos(intentar, opts), { codigo: 'CAPTCHA_RECHAZADO' });
+  assert.equal(llamadas(), 3);
+  assert.deepEqual(reportados, ['c1', 'c2', 'c3']);
+});
+
+test('backs off on network errors', async () => {
+  const { esperas, opts } = opciones();
+  const { intentar } = intentos(con({ code: 'ECONNRESET' }), con({ code: 'ECONNABORTED' }, 'timeout of 15000ms exceeded'));
+  const reintentos = [];
+
+  assert.equal(await conReintentos(intentar, { ...opts, reintentos }), 'ok');
+  assert.deepEqual(reintentos.map(r => r.codigo), ['PORTAL_NO_DISPONIBLE', 'TIMEOUT']);
+  assert.equal(esperas.length, 2);
+  assert.ok(esperas[1] > esperas[0]);
+});
+
+test('gives up after the limit and attaches the retries to the error', async () => {
+  const { opts } = opciones();
+  const { intentar, llamadas } = intentos(...[1, 2, 3].map(() => con({ response: { status: 500 } })));
+
+  await assert.rejects(conReintentos(intentar, opts), err => {
+    assert.equal(err.codigo, 'PORTAL_ERROR');
+    assert.equal(err.reintentos.length, 2);
+    return true;
+  });
+  assert.equal(llamadas(), 3);
+});
+
+test('does not retry errors a new attempt cannot fix', async () => {
+  const { opts } = opciones();
+  const { intentar, llamadas } = intentos(errorTipado('DOMINIO_INVALIDO', 'x'));
+  await assert.rejects(conReintentos(intentar, opts), err => err.reintentos.length === 0);
+  assert.equal(llamadas(), 1);
+});
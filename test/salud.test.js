@@ -0,0 +1,151 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearMonitor } = require('../lib/salud');
+const { validarResultado } = require('../lib/deriva');
+const { errorTipado } = require('../lib/errores');
+const { crearMultas } = require('../lib/multas');
+const { crearFake } = require('../lib/captcha');
+
+// Monitor with a hand-driven clock.
+function monitor(opciones) {
+  const reloj = { t: 1_000_000 };
+  const m = crearMonitor({ umbral: 3, enfriamientoMs: 60_000, ahora: () => reloj.t, ...opciones });
+  return { m, reloj };
+}
+
+test('tracks stats per source', () => {
+  const { m } = monitor();
+  m.exito('pba', 100);
+  m.exito('pba', 300);
+  m.fallo('pba', new Error('timeout'), 50);
+
+  const e = m.estado('pba');
+  assert.equal(e.consultas, 3);
+  assert.equal(e.errores, 1);
+  assert.equal(e.latenciaMs, 200);
+  assert.equal(e.tasaError, 1 / 3);
+  assert.equal(e.ultimoError.mensaje, 'timeout');
+  assert.equal(m.estado('caba').consultas, 0);
+});
+
+test('counts drift errors as anomalies', () => {
+  const { m } = monitor();
+  assert.throws(() => validarResultado('CABA', [], { tabla: true }), err => {
+    m.fallo('caba', err, 10);
+    return err.codigo === 'FORMATO_CAMBIADO';
+  });
+  assert.equal(m.estado('caba').anomalias, 1);
+  assert.equal(m.estado('caba').ultimoError.codigo, 'FORMATO_CAMBIADO');
+});
+
+test('opens the circuit after consecutive failures and fails fast', () => {
+  const { m, reloj } = monitor();
+  for (let i = 0; i < 3; i++) {
+    assert.equal(m.permitir('santafe').ok, true);
+    m.fallo('santafe', new Error('500'), 10);
+  }
+  assert.equal(m.estado('santafe').circuito, 'abierto');
+
+  const r = m.permitir('santafe');
+  assert.equal(r.ok, false);
+  assert.equal(r.reintentarEnMs, 60_000);
+
+  reloj.t += 30_000;
+  assert.equal(m.permitir('santafe').reintentarEnMs, 30_000);
+});
+
+test('lets a single probe through after the cool-down', () => {
+  const { m, reloj } = monitor();
+  for (let i = 0; i < 3; i++) m.fallo('rosario', new Error('x'), 10);
+  reloj.t += 60_000;
+
+  assert.equal(m.estado('rosario').circuito, 'semiabierto');
+  assert.equal(m.permitir('rosario').ok, true);
+  const espera = m.permitir('rosario');  // probe still in flight
+  assert.equal(espera.ok, false);
+  assert.equal(espera.reintentarEnMs, 60_000);
+  reloj.t += 20_000;
+  assert.equal(m.permitir('rosario').reintentarEnMs, 40_000);
+
+  m.exito('rosario', 500);
+  assert.equal(m.estado('rosario').circuito, 'cerrado');
+  assert.equal(m.permitir('rosario').ok, true);
+});
+
+test('a failed probe reopens the circuit', () => {
+  const { m, reloj } = monitor();
+  for (let i = 0; i < 3; i++) m.fallo('chaco', new Error('x'), 10);
+  reloj.t += 60_000;
+  m.permitir('chaco');
+  m.fallo('chaco', new Error('x'), 10);
+  assert.equal(m.estado('chaco').circuito, 'abierto');
+});
+
+test('a success resets the failure streak', () => {
+  const { m } = monitor();
+  m.fallo('salta', new Error('x'), 10);
+  m.fallo('salta', new Error('x'), 10);
+  m.exito('salta', 10);
+  m.fallo('salta', new Error('x'), 10);
+  assert.equal(m.estado('salta').circuito, 'cerrado');
+  assert.equal(m.estado('salta').fallosSeguidos, 1);
+});
+
+test('tallies retries by motivo without counting them as lookups', () => {
+  const { m } = monitor();
+  m.reintento('caba', 'captcha');
+  m.reintento('caba', 'red');
+  m.reintento('caba', 'red');
+  m.exito('caba', 10);
+  assert.deepEqual(m.estado('caba').reintentos, { captcha: 1, red: 2 });
+  assert.equal(m.estado('caba').consultas, 1);
+});
+
+test('bad input and portal answers never open the circuit', () => {
+  const { m, reloj } = monitor();
+  for (const codigo of ['DOMINIO_INVALIDO', 'DOCUMENTO_INVALIDO', 'DOMINIO_NO_ENCONTRADO', 'CAPTCHA_RECHAZADO', 'CAPTCHA_FALLIDO']) {
+    m.fallo('pba', errorTipado(codigo, codigo), 10);
+  }
+  const e = m.estado('pba');
+  assert.equal(e.circuito, 'cerrado');
+  assert.equal(e.fallosSeguidos, 0);
+  assert.equal(e.errores, 5);
+  assert.equal(e.ultimoError.codigo, 'CAPTCHA_FALLIDO');
+
+  // Nor does a probe that ends that way: the next lookup probes again.
+  for (let i = 0; i < 3; i++) m.fallo('pba', errorTipado('TIMEOUT', 't'), 10);
+  reloj.t += 60_000;
+  assert.equal(m.permitir('pba').ok, true);
+  m.fallo('pba', errorTipado('DOMINIO_INVALIDO', 'x'), 10);
+  assert.equal(m.estado('pba').circuito, 'semiabierto');
+  assert.equal(m.permitir('pba').ok, true);
+});
+
+test('the engine keeps a portal open however many bad plates it gets', async () => {
+  const { m } = monitor();
+  const multas = crearMultas({ captcha: crearFake(), salud: m, reintentos: { maxRed: 0 } });
+  const cordoba = multas.fuentesPorKey.get('cordoba');
+  cordoba.fetch = async dominio => { throw errorTipado('DOMINIO_INVALIDO', `${dominio} rechazado por el portal`); };
+
+  for (const dominio of ['AAA111', 'BBB222', 'CCC333', 'DDD444']) {
+    const r = await multas.consultarFuente(cordoba, dominio, 'viejo');
+    assert.equal(r.codigo, 'DOMINIO_INVALIDO');
+  }
+  assert.equal(m.estado('cordoba').circuito, 'cerrado');
+
+  cordoba.fetch = async () => { throw errorTipado('PORTAL_NO_DISPONIBLE', 'caído'); };
+  for (const dominio of ['AAA111', 'BBB222', 'CCC333']) await multas.consultarFuente(cordoba, dominio, 'viejo');
+  assert.equal(m.estado('cordoba').circuito, 'abierto');
+});
+
+test('gives up on a probe that never reports back', () => {
+  const { m, reloj } = monitor({ esperaSondeoMs: 10_000 });
+  for (let i = 0; i < 3; i++) m.fallo('rosario', new Error('x'), 10);
+  reloj.t += 60_000;
+
+  assert.equal(m.permitir('rosario').ok, true);
+  assert.equal(m.permitir('rosario').reintentarEnMs, 10_000);
+  reloj.t += 10_000;
+  assert.equal(m.permitir('rosario').ok, true);
+});
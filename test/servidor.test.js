@@ -0,0 +1,136 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+// The server reads its stores and CORS allowlist from the environment when
+// required, so point them at a scratch directory first.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'servidor-'));
+fs.writeFileSync(path.join(dir, 'claves.json'), JSON.stringify([
+  { id: 'a', clave: 'clave-a', limites: { porMinuto: 0, porDia: 3 } },
+  { id: 'b', clave: 'clave-b' },
+]));
+Object.assign(process.env, {
+  CLAVES_FILE:     path.join(dir, 'claves.json'),
+  LOTES_FILE:      path.join(dir, 'lotes.json'),
+  VIGILANCIA_FILE: path.join(dir, 'vigilancia.json'),
+  HISTORIAL_FILE:  path.join(dir, 'historial.db'),
+  CORS_ORIGENES:   'https://flota.example',
+});
+
+// A PDF renderer that always fails, for the export error path.
+require('../lib/informe').aPdf = async () => { throw new Error('fuente tipográfica ausente'); };
+
+const { app, http } = require('../backend-server');
+const { crearReproductor, leerFixture } = require('../lib/grabacion');
+
+let server;
+let base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function pedir(ruta, { clave, metodo = 'GET', cuerpo, headers = {} } = {}) {
+  return fetch(base + ruta, {
+    method: metodo,
+    headers: {
+      ...(clave && { 'X-API-Key': clave }),
+      ...(cuerpo && { 'Content-Type': 'application/json' }),
+      ...headers,
+    },
+    body: cuerpo && JSON.stringify(cuerpo),
+  });
+}
+
+test('rejects requests without a valid key, /health aside', async () => {
+  const sin = await pedir('/lotes');
+  assert.equal(sin.status, 401);
+  assert.equal((await sin.json()).codigo, 'CLAVE_REQUERIDA');
+
+  const mala = await pedir('/lotes', { clave: 'otra' });
+  assert.equal(mala.status, 401);
+  assert.equal((await mala.json()).codigo, 'CLAVE_INVALIDA');
+
+  assert.equal((await pedir('/health')).status, 200);
+  const acceso = await (await pedir('/acceso?clave=clave-b')).json();
+  assert.equal(acceso.id, 'b');
+});
+
+test('enforces the limits of each key apart', async () => {
+  const estados = [];
+  for (let i = 0; i < 3; i++) estados.push((await pedir('/multas?dominio=ABC', { clave: 'clave-a' })).status);
+  // Invalid plates still count against the quota.
+  assert.deepEqual(estados, [400, 400, 400]);
+  const agotada = await pedir('/multas?dominio=ABC', { clave: 'clave-a' });
+  assert.equal(agotada.status, 429);
+  assert.ok(Number(agotada.headers.get('retry-after')) > 0);
+  assert.equal((await agotada.json()).codigo, 'CUOTA_AGOTADA');
+
+  assert.equal((await pedir('/multas?dominio=ABC', { clave: 'clave-b' })).status, 400);
+});
+
+test('each key only reaches its own lotes and watched plates', async () => {
+  const creado = await pedir('/lotes', { clave: 'clave-b', metodo: 'POST', cuerpo: { dominios: ['X'] } });
+  assert.equal(creado.status, 202);
+  const { id: loteId } = await creado.json();
+
+  const vigilado = await pedir('/vigilancia', { clave: 'clave-b', metodo: 'POST', cuerpo: { dominio: 'ABC123' } });
+  assert.equal(vigilado.status, 201);
+  const { id: vigiladoId } = await vigilado.json();
+
+  assert.deepEqual((await (await pedir('/lotes', { clave: 'clave-b' })).json()).lotes.map(l => l.id), [loteId]);
+  assert.equal((await pedir(`/lotes/${loteId}`, { clave: 'clave-b' })).status, 200);
+  assert.equal((await pedir(`/vigilancia/${vigiladoId}`, { clave: 'clave-b' })).status, 200);
+
+  const ajena = { clave: 'clave-a' };
+  assert.deepEqual((await (await pedir('/lotes', ajena)).json()).lotes, []);
+  assert.deepEqual((await (await pedir('/vigilancia', ajena)).json()).vigilados, []);
+  for (const [metodo, ruta] of [
+    ['GET', `/lotes/${loteId}`],
+    ['GET', `/lotes/${loteId}/descarga`],
+    ['DELETE', `/lotes/${loteId}`],
+    ['GET', `/vigilancia/${vigiladoId}`],
+    ['PATCH', `/vigilancia/${vigiladoId}`],
+    ['DELETE', `/vigilancia/${vigiladoId}`],
+  ]) {
+    const r = await pedir(ruta, { ...ajena, metodo, cuerpo: metodo === 'PATCH' ? { intervaloMinutos: 60 } : undefined });
+    assert.equal(r.status, 404, `${metodo} ${ruta}`);
+  }
+
+  // Another key may watch the same plate on its own.
+  const mismo = await pedir('/vigilancia', { ...ajena, metodo: 'POST', cuerpo: { dominio: 'ABC123' } });
+  assert.equal(mismo.status, 201);
+  assert.equal((await pedir(`/vigilancia/${vigiladoId}`, { clave: 'clave-b' })).status, 200);
+});
+
+test('answers CORS only for allowed origins', async () => {
+  const permitido = await pedir('/health', { headers: { Origin: 'https://flota.example' } });
+  assert.equal(permitido.headers.get('access-control-allow-origin'), 'https://flota.example');
+
+  const bloqueado = await pedir('/health', { headers: { Origin: 'https://otro.example' } });
+  assert.equal(bloqueado.headers.get('access-control-allow-origin'), null);
+});
+
+test('answers a failed export with a JSON error instead of crashing', async () => {
+  const fx = leerFixture(path.join(__dirname, 'fixtures', 'chaco', 'sin-infracciones.json'));
+  const adapter = http.defaults.adapter;
+  http.defaults.adapter = crearReproductor(fx).adapter;
+  try {
+    const r = await pedir(`/multas/todas?dominio=${fx.dominio}&fuentes=chaco&refresh=1&formato=pdf`, { clave: 'clave-b' });
+    assert.equal(r.status, 500);
+    assert.equal(r.headers.get('content-disposition'), null);
+    const cuerpo = await r.json();
+    assert.equal(cuerpo.codigo, 'ERROR_INTERNO');
+    assert.match(cuerpo.error, /fuente tipográfica ausente/);
+  } finally {
+    http.defaults.adapter = adapter;
+  }
+});
@@ -0,0 +1,107 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearVigilancia, compararInfracciones } = require('../lib/vigilancia');
+
+const multa = (acta, estado = 'pendiente', fuente = 'pba') => ({ fuente, acta, estado, importeCentavos: 1000 });
+
+// Consolidated document like /multas/todas: { fuentes: [{ fuente, estado }], infracciones }.
+const doc = (infracciones, fuentes = [{ fuente: 'pba', estado: 'ok' }]) => ({ fuentes, infracciones });
+
+// Watchlist fed by a queue of documents, with a hand-driven clock.
+function vigilancia(documentos) {
+  const reloj = { t: Date.parse('2026-10-19T12:00:00Z') };
+  const notificados = [];
+  const v = crearVigilancia({
+    consultar: async () => documentos.shift(),
+    notificar: async evento => { notificados.push(evento); return [{ url: 'https://hooks.example', ok: true, intentos: [] }]; },
+    ahora:     () => reloj.t,
+  });
+  return { v, reloj, notificados };
+}
+
+test('compares listings by acta', () => {
+  const cambios = compararInfracciones(
+    [multa('A1'), multa('A2'), multa('A3'), { acta: null, estado: 'pendiente' }],
+    [multa('A1'), multa('A2', 'pagada'), multa('A4')],
+  );
+  assert.deepEqual(cambios.map(c => [c.tipo, c.acta]), [['cambio_estado', 'A2'], ['nueva', 'A4'], ['desaparecida', 'A3']]);
+});
+
+test('the first check is a baseline; later checks emit events', async () => {
+  const { v, reloj, notificados } = vigilancia([
+    doc([multa('A1'), multa('A2')]),
+    doc([multa('A1', 'pagada'), multa('A3')]),
+  ]);
+  const { id } = v.agregar({ dominio: 'AB123CD', formato: 'mercosur', intervaloMinutos: 60 });
+
+  assert.deepEqual(await v.revisar(), []);
+  assert.equal(v.obtener(id).infracciones, 2);
+
+  reloj.t += 30 * 60 * 1000;
+  assert.deepEqual(await v.revisar(), [], 'not due yet');
+
+  reloj.t += 30 * 60 * 1000;
+  const eventos = await v.revisar();
+  assert.deepEqual(eventos.map(e => [e.tipo, e.acta, e.estadoAnterior, e.estado]), [
+    ['cambio_estado', 'A1', 'pendiente', 'pagada'],
+    ['nueva', 'A3', null, 'pendiente'],
+    ['desaparecida', 'A2', 'pendiente', null],
+  ]);
+  assert.equal(notificados.length, 3);
+
+  await new Promise(resolve => setImmediate(resolve));
+  const [ultimo] = v.eventos({ dominio: 'AB123CD', limite: 1 });
+  assert.equal(ultimo.acta, 'A2');
+  assert.equal(ultimo.entregas[0].ok, true);
+});
+
+test('a failing source keeps its snapshot instead of losing every fine', async () => {
+  const { v } = vigilancia([
+    doc([multa('A1')]),
+    doc([], [{ fuente: 'pba', estado: 'error', error: 'timeout' }]),
+    doc([multa('A1')]),
+  ]);
+  const { id } = v.agregar({ dominio: 'ABC123', formato: 'viejo', intervaloMinutos: 60 });
+
+  await v.revisar(id);
+  assert.deepEqual(await v.revisar(id), []);
+  assert.equal(v.obtener(id).ultimoError, 'pba: timeout');
+  assert.equal(v.obtener(id).snapshot.pba.length, 1);
+  assert.deepEqual(await v.revisar(id), []);
+});
+
+test('a truncated listing reports no disappearances and keeps the actas past the cut', async () => {
+  const { v } = vigilancia([
+    doc([multa('A1'), multa('A2'), multa('A3')]),
+    doc([multa('A1', 'pagada'), multa('A4')], [{ fuente: 'pba', estado: 'ok', truncated: true }]),
+    doc([multa('A1', 'pagada'), multa('A4')]),
+  ]);
+  const { id } = v.agregar({ dominio: 'ABC123', formato: 'viejo', intervaloMinutos: 60 });
+  await v.revisar(id);
+
+  const eventos = await v.revisar(id);
+  assert.deepEqual(eventos.map(e => [e.tipo, e.acta]), [['cambio_estado', 'A1'], ['nueva', 'A4']]);
+  assert.deepEqual(v.obtener(id).snapshot.pba.map(i => [i.acta, i.estado]), [
+    ['A1', 'pagada'], ['A4', 'pendiente'], ['A2', 'pendiente'], ['A3', 'pendiente'],
+  ]);
+
+  // A complete listing later on does report them.
+  const completos = await v.revisar(id);
+  assert.deepEqual(completos.map(e => [e.tipo, e.acta]), [['desaparecida', 'A2'], ['desaparecida', 'A3']]);
+});
+
+test('dropping a source from an entry forgets its snapshot', async () => {
+  const { v } = vigilancia([doc([multa('A1'), multa('C1', 'pendiente', 'caba')], [
+    { fuente: 'pba', estado: 'ok' }, { fuente: 'caba', estado: 'ok' },
+  ])]);
+  const { id } = v.agregar({ dominio: 'ABC123', formato: 'viejo', intervaloMinutos: 60 });
+  await v.revisar(id);
+
+  v.actualizar(id, { fuentes: ['pba'], intervaloMinutos: 120 });
+  const entrada = v.obtener(id);
+  assert.deepEqual(Object.keys(entrada.snapshot), ['pba']);
+  assert.equal(Date.parse(entrada.proximaConsulta) - Date.parse(entrada.ultimaConsulta), 120 * 60 * 1000);
+  assert.equal(v.eliminar(id), true);
+  assert.equal(v.obtener(id), null);
+});
@@ -0,0 +1,47 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { crearNotificador } = require('../lib/webhooks');
+
+const evento = { id: 'ev-1', tipo: 'nueva', dominio: 'AB123CD', acta: 'A1' };
+
+test('signs the body with the shared secret', async () => {
+  const enviados = [];
+  const n = crearNotificador({
+    urls:    ['https://hooks.example/a'],
+    secreto: 's3creto',
+    enviar:  async (url, cuerpo, headers) => { enviados.push({ url, cuerpo, headers }); return { status: 204 }; },
+  });
+
+  const [entrega] = await n.entregar(evento);
+  assert.equal(entrega.ok, true);
+  const { cuerpo, headers } = enviados[0];
+  assert.deepEqual(JSON.parse(cuerpo), evento);
+  assert.equal(headers['X-Multas-Evento'], 'nueva');
+  assert.equal(headers['X-Multas-Firma'], 'sha256=' + crypto.createHmac('sha256', 's3creto').update(cuerpo).digest('hex'));
+});
+
+test('retries failed deliveries and logs every attempt', async () => {
+  const esperas = [];
+  const llamadas = new Map();
+  const n = crearNotificador({
+    urls:       ['https://hooks.example/a', 'https://hooks.example/caido'],
+    reintentos: 2,
+    baseMs:     100,
+    esperar:    async ms => { esperas.push(ms); },
+    enviar:     async url => {
+      llamadas.set(url, (llamadas.get(url) || 0) + 1);
+      if (url.endsWith('/a') && llamadas.get(url) > 1) return { status: 200 };
+      throw Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+    },
+  });
+
+  const [a, caido] = await n.entregar(evento);
+  assert.equal(a.ok, true);
+  assert.deepEqual(a.intentos.map(i => i.status), [500, 200]);
+  assert.equal(caido.ok, false);
+  assert.equal(caido.intentos.length, 3);
+  assert.equal(caido.intentos[2].error, 'Request failed with status code 500');
+  assert.equal(esperas.length, 3);
+});